@@ -4,7 +4,8 @@ import reactHooks from 'eslint-plugin-react-hooks'
 import reactRefresh from 'eslint-plugin-react-refresh'
 
 export default [
-  { ignores: ['dist'] },
+  // Leftovers from earlier prototypes that nothing imports.
+  { ignores: ['dist', 'old.vite.config.js', 'src/CommandCenter.jsx'] },
   {
     files: ['**/*.{js,jsx}'],
     languageOptions: {
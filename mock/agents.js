@@ -0,0 +1,42 @@
+// Simulated heartbeat stream: most agents beat every few seconds,
+// LOGISTICS-03 lags behind and SECURITY-06 falls silent after its first beat.
+const BEAT_EVERY = {
+  'INTEL-01': 5000,
+  'TACTICAL-02': 5000,
+  'LOGISTICS-03': 20000,
+  'COMMS-04': 5000,
+  'ANALYSIS-05': 7000,
+  'SECURITY-06': null,
+}
+
+const TICK_MS = 1000
+
+export default [
+  {
+    method: 'GET',
+    path: /^\/api\/agents\/heartbeats$/,
+    handler: ({ req, res }) => {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      })
+
+      const lastBeat = {}
+      const beat = (agentId) => {
+        lastBeat[agentId] = Date.now()
+        const data = JSON.stringify({ agentId, at: new Date().toISOString() })
+        res.write(`event: heartbeat\ndata: ${data}\n\n`)
+      }
+
+      Object.keys(BEAT_EVERY).forEach(beat)
+      const timer = setInterval(() => {
+        Object.entries(BEAT_EVERY).forEach(([agentId, every]) => {
+          if (every && Date.now() - lastBeat[agentId] >= every) beat(agentId)
+        })
+      }, TICK_MS)
+
+      req.on('close', () => clearInterval(timer))
+    },
+  },
+]
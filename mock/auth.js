@@ -0,0 +1,53 @@
+// Demo sign-in: one user per role, all with the password `agentcy`. Tokens are
+// HS256 JWTs signed with a per-process secret, so restarting the server signs everyone out.
+import { Buffer } from 'node:buffer'
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto'
+import { DEFAULT_ROLE } from '../src/lib/permissions.js'
+import { MockError } from './errors.js'
+
+const SECRET = randomBytes(32)
+const TOKEN_TTL_SECONDS = 8 * 60 * 60
+const PASSWORD = 'agentcy'
+
+const USERS = {
+  viewer: { name: 'Duty Observer', role: 'viewer' },
+  analyst: { name: 'Intel Analyst', role: 'analyst' },
+  operator: { name: 'Watch Operator', role: 'operator' },
+  commander: { name: 'Mission Commander', role: 'commander' },
+  admin: { name: 'System Administrator', role: 'admin' },
+}
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url')
+const sign = (data) => createHmac('sha256', SECRET).update(data).digest('base64url')
+
+const issueToken = (username) => {
+  const now = Math.floor(Date.now() / 1000)
+  const { name, role } = USERS[username]
+  const data = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ sub: username, name, role, iat: now, exp: now + TOKEN_TTL_SECONDS })}`
+  return `${data}.${sign(data)}`
+}
+
+/** Role from the request's bearer token; missing, forged or expired tokens count as signed out. */
+export const requestRole = (req) => {
+  const token = req.headers.authorization?.replace(/^Bearer /, '')
+  const [header, payload, signature] = token?.split('.') ?? []
+  if (!signature) return DEFAULT_ROLE
+  const expected = Buffer.from(sign(`${header}.${payload}`))
+  const actual = Buffer.from(signature)
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return DEFAULT_ROLE
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString())
+  return claims.exp > Date.now() / 1000 ? claims.role : DEFAULT_ROLE
+}
+
+export default [
+  {
+    method: 'POST',
+    path: /^\/auth\/login$/,
+    handler: ({ body }) => {
+      if (!USERS[body.username] || body.password !== PASSWORD) {
+        throw new MockError('Invalid username or password', 401)
+      }
+      return { json: { token: issueToken(body.username) } }
+    },
+  },
+]
@@ -0,0 +1,6 @@
+export class MockError extends Error {
+  constructor(message, status) {
+    super(message)
+    this.status = status
+  }
+}
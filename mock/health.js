@@ -0,0 +1,13 @@
+// Health endpoint with jittered latency so the status sparklines have something to show.
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+export default [
+  {
+    method: 'GET',
+    path: /^\/health$/,
+    handler: async () => {
+      await delay(40 + Math.random() * 300)
+      return { json: { status: 'ok', time: new Date().toISOString() } }
+    },
+  },
+]
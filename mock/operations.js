@@ -0,0 +1,220 @@
+import { auditEntry, canTransition } from '../src/lib/operations.js'
+import { can, deniedMessage, transitionPermission } from '../src/lib/permissions.js'
+import { MockError } from './errors.js'
+import { requestRole } from './auth.js'
+
+const task = (title, done) => ({ id: crypto.randomUUID(), title, done })
+
+// Seeded operations walk from PLANNING to their status, so their audit trail (and
+// `activeWindow`) look like they got there through the transition route.
+const SEED_PATHS = { ACTIVE: ['ACTIVE'], COMPLETED: ['ACTIVE', 'COMPLETED'] }
+
+const seedHistory = (status) => {
+  const path = SEED_PATHS[status] || []
+  return [
+    auditEntry('CREATED', { to: path.length ? 'PLANNING' : status }),
+    ...path.map((to, index) => auditEntry('STATUS_CHANGED', { from: index ? path[index - 1] : 'PLANNING', to, note: '' })),
+  ]
+}
+
+const seed = (id, name, type, status, tasks, agents = []) => {
+  const createdAt = new Date().toISOString()
+  return {
+    id,
+    name,
+    type,
+    status,
+    description: '',
+    notes: '',
+    tasks,
+    agents,
+    missions: [],
+    history: seedHistory(status),
+    createdAt,
+    updatedAt: createdAt,
+  }
+}
+
+const operations = [
+  seed('OP-001', 'Operation Nightfall', 'TACTICAL', 'ACTIVE', [
+    task('Recon sweep', true),
+    task('Insertion route', true),
+    task('Comms check', true),
+    task('Extraction plan', false),
+  ], ['TACTICAL-02', 'INTEL-01']),
+  seed('OP-002', 'Intel Gathering Alpha', 'INTELLIGENCE', 'PLANNING', [
+    task('Define collection targets', true),
+    task('Task OSINT sources', false),
+    task('Task SIGINT sources', false),
+    task('Compile briefing', false),
+  ], ['INTEL-01', 'ANALYSIS-05']),
+  seed('OP-003', 'Tactical Assessment Beta', 'ASSESSMENT', 'COMPLETED', [
+    task('Terrain survey', true),
+    task('Force comparison', true),
+  ]),
+  seed('OP-004', 'Security Audit Gamma', 'SECURITY', 'ACTIVE', [
+    task('Perimeter review', true),
+    task('Access control audit', true),
+    task('Network scan', true),
+    task('Patch verification', false),
+    task('Final report', false),
+  ], ['SECURITY-06', 'COMMS-04']),
+]
+
+let nextId = operations.length + 1
+
+const find = (id) => {
+  const operation = operations.find((op) => op.id === id)
+  if (!operation) throw new MockError(`Operation ${id} not found`, 404)
+  return operation
+}
+
+const findTask = (operation, taskId) => {
+  const found = operation.tasks.find((entry) => entry.id === taskId)
+  if (!found) throw new MockError(`Task ${taskId} not found on ${operation.id}`, 404)
+  return found
+}
+
+const touch = (operation, entry) => {
+  operation.updatedAt = entry.at
+  operation.history.push(entry)
+  return { json: { operation: operation } }
+}
+
+const requireEdit = (req) => {
+  const role = requestRole(req)
+  if (!can(role, 'operations.edit')) throw new MockError(deniedMessage(role, 'operations.edit'), 403)
+}
+
+const EDITABLE = ['name', 'type', 'classification', 'description', 'notes', 'tasks', 'agents']
+
+// Ticking a task off (or reopening it) is worth its own line in the audit trail.
+const taskEntries = (before, after) =>
+  after
+    .filter((task) => {
+      const previous = before.find((entry) => entry.id === task.id)
+      return previous && previous.done !== task.done
+    })
+    .map((task) => auditEntry(task.done ? 'TASK_COMPLETED' : 'TASK_REOPENED', { taskId: task.id, title: task.title }))
+
+export default [
+  {
+    method: 'GET',
+    path: /^\/api\/operations$/,
+    handler: () => ({ json: { operations: operations } }),
+  },
+  {
+    method: 'POST',
+    path: /^\/api\/operations$/,
+    handler: ({ req, body }) => {
+      requireEdit(req)
+      if (!body.name?.trim()) throw new MockError('Operation name is required', 400)
+      const operation = seed(
+        `OP-${String(nextId++).padStart(3, '0')}`,
+        body.name.trim(),
+        body.type || 'TACTICAL',
+        'PLANNING',
+        body.tasks || []
+      )
+      operation.description = body.description || ''
+      if (body.classification) operation.classification = body.classification
+      operations.push(operation)
+      return { status: 201, json: { operation: operation } }
+    },
+  },
+  {
+    method: 'PATCH',
+    path: /^\/api\/operations\/(?<id>[^/]+)$/,
+    handler: ({ req, params, body }) => {
+      requireEdit(req)
+      const operation = find(params.id)
+      const fields = EDITABLE.filter((field) => field in body)
+      if (body.tasks) operation.history.push(...taskEntries(operation.tasks, body.tasks))
+      fields.forEach((field) => { operation[field] = body[field] })
+      return touch(operation, auditEntry('UPDATED', { fields }))
+    },
+  },
+  {
+    method: 'POST',
+    path: /^\/api\/operations\/(?<id>[^/]+)\/transition$/,
+    handler: ({ req, params, body }) => {
+      const role = requestRole(req)
+      const permission = transitionPermission(body.status)
+      if (!can(role, permission)) throw new MockError(deniedMessage(role, permission), 403)
+      const operation = find(params.id)
+      if (!canTransition(operation.status, body.status)) {
+        throw new MockError(`Cannot move ${operation.id} from ${operation.status} to ${body.status}`, 409)
+      }
+      const from = operation.status
+      operation.status = body.status
+      return touch(operation, auditEntry('STATUS_CHANGED', { from, to: body.status, note: body.note || '' }))
+    },
+  },
+  {
+    method: 'POST',
+    path: /^\/api\/operations\/(?<id>[^/]+)\/missions$/,
+    handler: ({ params, body }) => {
+      const operation = find(params.id)
+      if (!body.mission?.id) throw new MockError('Mission id is required', 400)
+      operation.missions.push(body.mission)
+      return touch(operation, auditEntry('MISSION_ATTACHED', { missionId: body.mission.id }))
+    },
+  },
+  // Checklist and assignment edits are applied one at a time, so concurrent editors don't
+  // overwrite each other's changes with a stale copy of the whole list.
+  {
+    method: 'POST',
+    path: /^\/api\/operations\/(?<id>[^/]+)\/tasks$/,
+    handler: ({ req, params, body }) => {
+      requireEdit(req)
+      const operation = find(params.id)
+      if (!body.title?.trim()) throw new MockError('Task title is required', 400)
+      operation.tasks.push(task(body.title.trim(), false))
+      return touch(operation, auditEntry('UPDATED', { fields: ['tasks'] }))
+    },
+  },
+  {
+    method: 'PATCH',
+    path: /^\/api\/operations\/(?<id>[^/]+)\/tasks\/(?<taskId>[^/]+)$/,
+    handler: ({ req, params, body }) => {
+      requireEdit(req)
+      const operation = find(params.id)
+      const target = findTask(operation, params.taskId)
+      if (target.done === Boolean(body.done)) return { json: { operation: operation } }
+      target.done = Boolean(body.done)
+      return touch(operation, auditEntry(target.done ? 'TASK_COMPLETED' : 'TASK_REOPENED', { taskId: target.id, title: target.title }))
+    },
+  },
+  {
+    method: 'DELETE',
+    path: /^\/api\/operations\/(?<id>[^/]+)\/tasks\/(?<taskId>[^/]+)$/,
+    handler: ({ req, params }) => {
+      requireEdit(req)
+      const operation = find(params.id)
+      operation.tasks = operation.tasks.filter((entry) => entry.id !== findTask(operation, params.taskId).id)
+      return touch(operation, auditEntry('UPDATED', { fields: ['tasks'] }))
+    },
+  },
+  {
+    method: 'POST',
+    path: /^\/api\/operations\/(?<id>[^/]+)\/agents$/,
+    handler: ({ req, params, body }) => {
+      requireEdit(req)
+      const operation = find(params.id)
+      if (!body.agentId) throw new MockError('Agent id is required', 400)
+      if (operation.agents.includes(body.agentId)) return { json: { operation: operation } }
+      operation.agents.push(body.agentId)
+      return touch(operation, auditEntry('UPDATED', { fields: ['agents'] }))
+    },
+  },
+  {
+    method: 'DELETE',
+    path: /^\/api\/operations\/(?<id>[^/]+)\/agents\/(?<agentId>[^/]+)$/,
+    handler: ({ req, params }) => {
+      requireEdit(req)
+      const operation = find(params.id)
+      operation.agents = operation.agents.filter((id) => id !== params.agentId)
+      return touch(operation, auditEntry('UPDATED', { fields: ['agents'] }))
+    },
+  },
+]
@@ -0,0 +1,58 @@
+// Development-only mock of the Agentcy API, enabled with `vite --mode mock`.
+import operationRoutes from './operations.js'
+import agentRoutes from './agents.js'
+import healthRoutes from './health.js'
+import authRoutes from './auth.js'
+
+const routes = [...operationRoutes, ...agentRoutes, ...healthRoutes, ...authRoutes]
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let raw = ''
+    req.on('data', (chunk) => { raw += chunk })
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {})
+      } catch (error) {
+        reject(error)
+      }
+    })
+    req.on('error', reject)
+  })
+
+const sendJson = (res, status, data) => {
+  res.statusCode = status
+  res.setHeader('Content-Type', 'application/json')
+  res.end(JSON.stringify(data))
+}
+
+const match = (req) => {
+  const { pathname } = new URL(req.url, 'http://localhost')
+  for (const route of routes) {
+    if (route.method !== req.method) continue
+    const params = route.path.exec(pathname)
+    if (params) return { route, params: params.groups || {} }
+  }
+  return null
+}
+
+export default function mockApi() {
+  return {
+    name: 'agentcy-mock-api',
+    configureServer(server) {
+      server.middlewares.use(async (req, res, next) => {
+        const found = match(req)
+        if (!found) return next()
+
+        try {
+          const body = ['POST', 'PATCH', 'PUT'].includes(req.method) ? await readBody(req) : {}
+          const result = await found.route.handler({ req, res, params: found.params, body })
+          if (result) sendJson(res, result.status || 200, result.json)
+        } catch (error) {
+          sendJson(res, error.status || 500, { error: error.message })
+        }
+      })
+    },
+  }
+}
+
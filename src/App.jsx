@@ -1,5 +1,32 @@
 import React from 'react';
+import { BrowserRouter, Navigate, Route, Routes } from 'react-router-dom';
+import CommandCenter from './components/CommandCenter';
+import Dashboard from './components/Dashboard';
+import MissionsPage from './components/MissionsPage';
+import OperationsPage from './components/OperationsPage';
+import OperationDetail from './components/OperationDetail';
+import AgentsPage from './components/AgentsPage';
+import SettingsPage from './components/SettingsPage';
+import './App.css';
 
 export default function App() {
-  return <h1>Hello Agentcy-One!</h1>;
+  return (
+    <BrowserRouter>
+      <div className="App">
+        <Routes>
+          <Route element={<CommandCenter />}>
+            <Route index element={<Dashboard />} />
+            <Route path="missions" element={<MissionsPage />} />
+            <Route path="missions/:missionId" element={<MissionsPage />} />
+            <Route path="operations" element={<OperationsPage />} />
+            <Route path="operations/:id" element={<OperationDetail />} />
+            <Route path="agents" element={<AgentsPage />} />
+            <Route path="agents/:agentId" element={<AgentsPage />} />
+            <Route path="settings" element={<SettingsPage />} />
+            <Route path="*" element={<Navigate to="/" replace />} />
+          </Route>
+        </Routes>
+      </div>
+    </BrowserRouter>
+  );
 }
@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Activity, Plus, Pencil } from 'lucide-react';
+import { useOperations } from '../hooks/use-operations';
+import { operationsStore } from '../lib/operations-store';
+import { OPERATION_TRANSITIONS, computeProgress } from '../lib/operations';
+import { can, transitionPermission } from '../lib/permissions';
+import { usePermission, useRole } from '../hooks/use-auth';
+import { missionHistory } from '../lib/mission-history';
+import { exportOperation } from '../lib/report-export';
+import OperationDialog from './OperationDialog';
+import ExportMenu from './ExportMenu';
+import { ClassificationMark } from './ClassificationBanner';
+
+const ActiveOperations = () => {
+  const { operations, loading, error } = useOperations();
+  const [dialog, setDialog] = useState({ open: false, operationId: null });
+  const navigate = useNavigate();
+  const role = useRole();
+  const canEdit = usePermission('operations.edit');
+
+  const openDialog = (operation = null) => setDialog({ open: true, operationId: operation?.id ?? null });
+
+  const handleTransition = (operation, status) => {
+    operationsStore.transition(operation.id, status).catch(() => {});
+  };
+
+  return (
+    <div className="status-panel p-4">
+      <h3 className="flex items-center mb-4">
+        <Activity className="w-5 h-5 mr-2" />
+        ACTIVE OPERATIONS
+        {canEdit && (
+          <button
+            className="quick-action-button ml-auto px-2 py-1 rounded text-xs flex items-center"
+            onClick={() => openDialog()}
+          >
+            <Plus className="w-3 h-3 mr-1" /> NEW
+          </button>
+        )}
+      </h3>
+      {error && <p className="text-xs text-red-400 mb-2">{error}</p>}
+      {loading && operations.length === 0 && (
+        <p className="text-xs text-gray-400">Loading operations...</p>
+      )}
+      <div className="space-y-3">
+        {operations.map((operation) => {
+          const progress = computeProgress(operation);
+          const tasks = operation.tasks || [];
+          const openOperation = () => navigate(`/operations/${operation.id}`);
+          return (
+            <div
+              key={operation.id}
+              id={`operation-${operation.id}`}
+              className="operation-item cursor-pointer"
+              role="link"
+              tabIndex={0}
+              onClick={openOperation}
+              onKeyDown={(e) => e.key === 'Enter' && openOperation()}
+            >
+              <div className="flex justify-between items-start mb-2">
+                <h4 className="font-semibold text-white">{operation.name}</h4>
+                <span
+                  className={`operation-status ${operation.status.toLowerCase()}`}
+                  title={`${tasks.filter((task) => task.done).length} of ${tasks.length} tasks done`}
+                >
+                  {progress}%
+                </span>
+              </div>
+              <div className="flex justify-between items-center mb-2">
+                <span className={`operation-status ${operation.status.toLowerCase()}`}>{operation.status}</span>
+                <ClassificationMark level={operation.classification} />
+              </div>
+              <div className="progress-bar">
+                <div
+                  className="progress-fill"
+                  style={{ width: `${progress}%` }}
+                ></div>
+              </div>
+              {/* Controls act in place rather than opening the operation page. */}
+              <div className="flex space-x-1 mt-2" onClick={(e) => e.stopPropagation()}>
+                {OPERATION_TRANSITIONS[operation.status].filter((status) => can(role, transitionPermission(status))).map((status) => (
+                  <button
+                    key={status}
+                    className={`quick-action-button ${status === 'ABORTED' ? 'threat' : ''} flex-1 p-1 rounded text-xs`}
+                    onClick={() => handleTransition(operation, status)}
+                  >
+                    {status === 'ABORTED' ? 'ABORT' : status}
+                  </button>
+                ))}
+                <ExportMenu
+                  label=""
+                  build={(format) => exportOperation(operation, missionHistory.getSnapshot(), format)}
+                />
+                {canEdit && (
+                  <button
+                    className="quick-action-button p-1 rounded text-xs"
+                    onClick={() => openDialog(operation)}
+                    aria-label={`Edit ${operation.id}`}
+                  >
+                    <Pencil className="w-3 h-3" />
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      <OperationDialog
+        open={dialog.open}
+        operation={operations.find((op) => op.id === dialog.operationId)}
+        onOpenChange={(open) => setDialog((current) => ({ ...current, open }))}
+      />
+    </div>
+  );
+};
+
+export default ActiveOperations;
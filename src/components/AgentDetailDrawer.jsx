@@ -0,0 +1,181 @@
+import React, { useMemo, useState } from 'react';
+import { format } from 'date-fns';
+import { ArrowRightLeft, Pause, Play } from 'lucide-react';
+import { Bar, BarChart, CartesianGrid, Line, LineChart, XAxis, YAxis } from 'recharts';
+import { Sheet, SheetContent, SheetDescription, SheetHeader, SheetTitle } from '@/components/ui/sheet';
+import { ChartContainer, ChartTooltip, ChartTooltipContent } from '@/components/ui/chart';
+import { Badge } from '@/components/ui/badge';
+import { useAgentRegistry } from '../hooks/use-agent-registry';
+import { useMissionHistory } from '../hooks/use-mission-history';
+import { agentRegistry } from '../lib/agent-registry';
+import { agentMetrics, agentMissions } from '../lib/agent-metrics';
+import { parseCapabilities } from '../lib/dispatcher';
+import { getStatusColor } from '../lib/status';
+import PermissionGate from './PermissionGate';
+
+const chartConfig = {
+  successRate: { label: 'Success rate %', color: 'var(--tactical-green)' },
+  latencySec: { label: 'Latency (s)', color: 'var(--tactical-amber)' },
+};
+
+const formatLatency = (ms) => (ms === null ? '—' : ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`);
+
+const Stat = ({ label, value }) => (
+  <div className="agent-stat p-2 rounded text-center">
+    <div className="text-lg font-bold text-white">{value}</div>
+    <div className="text-gray-400">{label}</div>
+  </div>
+);
+
+const MetricCharts = ({ series }) => {
+  if (series.length < 2) {
+    return <p className="text-gray-500">Charts appear after two finished missions.</p>;
+  }
+  const data = series.map((point, index) => ({ ...point, mission: `#${index + 1}` }));
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <h5 className="text-gray-400 mb-1">SUCCESS RATE (RUNNING)</h5>
+        <ChartContainer config={chartConfig} className="h-28 w-full aspect-auto">
+          <LineChart data={data}>
+            <CartesianGrid vertical={false} strokeOpacity={0.15} />
+            <XAxis dataKey="mission" tickLine={false} axisLine={false} fontSize={10} />
+            <YAxis domain={[0, 100]} width={28} tickLine={false} axisLine={false} fontSize={10} />
+            <ChartTooltip content={<ChartTooltipContent />} />
+            <Line type="monotone" dataKey="successRate" stroke="var(--color-successRate)" strokeWidth={2} dot={false} isAnimationActive={false} />
+          </LineChart>
+        </ChartContainer>
+      </div>
+      <div>
+        <h5 className="text-gray-400 mb-1">LATENCY PER MISSION</h5>
+        <ChartContainer config={chartConfig} className="h-28 w-full aspect-auto">
+          <BarChart data={data}>
+            <CartesianGrid vertical={false} strokeOpacity={0.15} />
+            <XAxis dataKey="mission" tickLine={false} axisLine={false} fontSize={10} />
+            <YAxis width={28} tickLine={false} axisLine={false} fontSize={10} />
+            <ChartTooltip content={<ChartTooltipContent />} />
+            <Bar dataKey="latencySec" fill="var(--color-latencySec)" isAnimationActive={false} />
+          </BarChart>
+        </ChartContainer>
+      </div>
+    </div>
+  );
+};
+
+const ReassignControl = ({ agent, agents }) => {
+  const candidates = agents.filter((other) => other.id !== agent.id && !other.paused);
+  const [targetId, setTargetId] = useState('');
+
+  return (
+    <div className="flex space-x-1">
+      <select
+        className="mission-textarea flex-1 p-1 rounded text-xs"
+        value={targetId}
+        onChange={(e) => setTargetId(e.target.value)}
+        disabled={!agent.currentMission}
+        aria-label="Reassign to"
+      >
+        <option value="">Reassign to…</option>
+        {candidates.map((other) => (
+          <option key={other.id} value={other.id}>{other.id} ({other.status})</option>
+        ))}
+      </select>
+      <button
+        className="quick-action-button px-2 rounded flex items-center"
+        onClick={() => {
+          agentRegistry.reassignMission(agent.id, targetId);
+          setTargetId('');
+        }}
+        disabled={!agent.currentMission || !targetId}
+      >
+        <ArrowRightLeft className="w-3 h-3 mr-1" /> REASSIGN
+      </button>
+    </div>
+  );
+};
+
+/** Side sheet with everything known about one agent; `agentId` null keeps it closed. */
+const AgentDetailDrawer = ({ agentId, onClose }) => {
+  const { agents } = useAgentRegistry();
+  const history = useMissionHistory();
+  const agent = agents.find((entry) => entry.id === agentId);
+  const missions = useMemo(() => agentMissions(history, agentId), [history, agentId]);
+  const metrics = useMemo(() => agentMetrics(missions), [missions]);
+
+  return (
+    <Sheet open={Boolean(agent)} onOpenChange={(open) => !open && onClose()}>
+      <SheetContent className="tactical-dialog w-full sm:max-w-md overflow-y-auto text-xs">
+        {agent && (
+          <>
+            <SheetHeader>
+              <SheetTitle className="text-green-400 flex items-center space-x-2">
+                <span>{agent.id}</span>
+                <span className={`${getStatusColor(agent.status)} text-xs`}>{agent.status}</span>
+                {agent.paused && <span className="operation-status paused text-xs">PAUSED</span>}
+              </SheetTitle>
+              <SheetDescription className="text-gray-400">
+                {agent.name} · last heartbeat {agent.lastSeen ? format(new Date(agent.lastSeen), 'HH:mm:ss') : 'never'}
+              </SheetDescription>
+            </SheetHeader>
+
+            <div className="px-4 pb-4 space-y-5">
+              <section>
+                <h4 className="text-gray-400 mb-2">CAPABILITIES</h4>
+                <div className="flex flex-wrap gap-1">
+                  {parseCapabilities(agent.capabilities).map((tag) => (
+                    <Badge key={tag} variant="outline" className="capability-badge">{tag}</Badge>
+                  ))}
+                  {!agent.capabilities && <span className="text-gray-500">None registered</span>}
+                </div>
+              </section>
+
+              <section className="space-y-2">
+                <h4 className="text-gray-400">CURRENT MISSION</h4>
+                <p className="text-white">{agent.currentMission || 'Idle'}</p>
+                <PermissionGate permission="system.config" className="space-y-2">
+                  <ReassignControl key={agent.id} agent={agent} agents={agents} />
+                  <button
+                    className="quick-action-button w-full p-2 rounded flex items-center justify-center"
+                    onClick={() => (agent.paused ? agentRegistry.resumeAgent(agent.id) : agentRegistry.pauseAgent(agent.id))}
+                    title={agent.paused ? 'Return the agent to auto-routing' : 'Keep the agent out of auto-routing'}
+                  >
+                    {agent.paused ? <><Play className="w-3 h-3 mr-1" /> RESUME AGENT</> : <><Pause className="w-3 h-3 mr-1" /> PAUSE AGENT</>}
+                  </button>
+                </PermissionGate>
+              </section>
+
+              <section className="space-y-2">
+                <h4 className="text-gray-400">PERFORMANCE</h4>
+                <div className="grid grid-cols-3 gap-2">
+                  <Stat label="missions" value={metrics.total} />
+                  <Stat label="success" value={metrics.successRate === null ? '—' : `${metrics.successRate}%`} />
+                  <Stat label="avg latency" value={formatLatency(metrics.avgLatencyMs)} />
+                </div>
+                <MetricCharts series={metrics.series} />
+              </section>
+
+              <section>
+                <h4 className="text-gray-400 mb-2">MISSION TIMELINE</h4>
+                {missions.length === 0 && <p className="text-gray-500">No missions recorded for this agent.</p>}
+                <ol className="agent-timeline space-y-2">
+                  {missions.map((mission) => (
+                    <li key={mission.id} className={`timeline-entry ${mission.status.toLowerCase()}`}>
+                      <div className="flex justify-between text-gray-400">
+                        <span>{format(new Date(mission.startedAt), 'yyyy-MM-dd HH:mm')}</span>
+                        <span>{mission.status} · {formatLatency(mission.durationMs ?? null)}</span>
+                      </div>
+                      <p className="text-gray-200 truncate" title={mission.prompt}>{mission.prompt}</p>
+                    </li>
+                  ))}
+                </ol>
+              </section>
+            </div>
+          </>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+export default AgentDetailDrawer;
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { Users, Plus, X } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { useAgentRegistry } from '../hooks/use-agent-registry';
+import { usePermission } from '../hooks/use-auth';
+import { agentRegistry } from '../lib/agent-registry';
+import AgentDetailDrawer from './AgentDetailDrawer';
+
+const formatLastSeen = (lastSeen, now) => {
+  if (!lastSeen) return 'never seen';
+  const seconds = Math.max(0, Math.round((now - lastSeen) / 1000));
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  return `${Math.floor(seconds / 3600)}h ago`;
+};
+
+const emptyAgent = { id: '', name: '', capabilities: '' };
+
+const AddAgentDialog = ({ open, onOpenChange }) => {
+  const [draft, setDraft] = useState(emptyAgent);
+  const [error, setError] = useState(null);
+
+  const close = () => {
+    setDraft(emptyAgent);
+    setError(null);
+    onOpenChange(false);
+  };
+
+  const handleAdd = () => {
+    const id = draft.id.trim().toUpperCase();
+    if (!id) {
+      setError('Agent id is required');
+      return;
+    }
+    try {
+      agentRegistry.addAgent({ id, name: draft.name.trim() || id, capabilities: draft.capabilities.trim() });
+      close();
+    } catch (addError) {
+      setError(addError.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(next) => (next ? onOpenChange(true) : close())}>
+      <DialogContent className="tactical-dialog">
+        <DialogHeader>
+          <DialogTitle className="text-green-400">REGISTER AGENT</DialogTitle>
+          <DialogDescription className="text-gray-400">
+            The agent is tracked from its first heartbeat.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-3">
+          {['id', 'name', 'capabilities'].map((field) => (
+            <Input
+              key={field}
+              className="mission-textarea"
+              placeholder={field === 'capabilities' ? 'Capabilities, comma separated' : `Agent ${field}`}
+              value={draft[field]}
+              onChange={(e) => setDraft((current) => ({ ...current, [field]: e.target.value }))}
+            />
+          ))}
+          {error && <p className="text-xs text-red-400">{error}</p>}
+        </div>
+        <DialogFooter>
+          <button className="quick-action-button p-2 rounded text-xs" onClick={close}>
+            CANCEL
+          </button>
+          <button className="execute-button p-2 rounded text-xs" onClick={handleAdd}>
+            REGISTER
+          </button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+/**
+ * Agent list with the detail drawer. The open agent is local state unless the
+ * caller controls it through `selectedId`/`onSelect` (the agents page keeps it in the URL).
+ */
+const AgentStatus = ({ selectedId: controlledId, onSelect }) => {
+  const { agents, now, connection } = useAgentRegistry();
+  const canConfigure = usePermission('system.config');
+  const [adding, setAdding] = useState(false);
+  const [localId, setLocalId] = useState(null);
+  const controlled = onSelect !== undefined;
+  const selectedId = controlled ? controlledId : localId;
+  const setSelectedId = controlled ? onSelect : setLocalId;
+
+  return (
+    <div className="status-panel p-4">
+      <h3 className="flex items-center mb-4">
+        <Users className="w-5 h-5 mr-2" />
+        AGENT STATUS
+        {canConfigure && (
+          <button
+            className="quick-action-button ml-auto px-2 py-1 rounded text-xs flex items-center"
+            onClick={() => setAdding(true)}
+          >
+            <Plus className="w-3 h-3 mr-1" /> ADD
+          </button>
+        )}
+      </h3>
+      {connection !== 'CONNECTED' && (
+        <p className="text-xs text-yellow-400 mb-2">Heartbeat feed {connection.toLowerCase()}</p>
+      )}
+      <div className="space-y-2">
+        {agents.map((agent) => (
+          <div
+            key={agent.id}
+            id={`agent-${agent.id}`}
+            className="agent-item cursor-pointer"
+            role="button"
+            tabIndex={0}
+            onClick={() => setSelectedId(agent.id)}
+            onKeyDown={(e) => e.key === 'Enter' && setSelectedId(agent.id)}
+          >
+            <div className="flex items-center flex-1">
+              <div className={`agent-status-indicator ${agent.paused ? 'paused' : agent.status.toLowerCase()}`}></div>
+              <div className="flex-1">
+                <div className="font-semibold text-white text-sm">{agent.id}</div>
+                <div className="text-xs text-gray-400">{agent.currentMission}</div>
+                <div className="text-xs text-gray-500">{formatLastSeen(agent.lastSeen, now)}</div>
+              </div>
+            </div>
+            <span className={`operation-status ${agent.paused ? 'paused' : agent.status.toLowerCase()} text-xs`}>
+              {agent.paused ? 'PAUSED' : agent.status}
+            </span>
+            {canConfigure && (
+              <button
+                className="ml-2 text-gray-500 hover:text-red-400"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  agentRegistry.retireAgent(agent.id);
+                }}
+                aria-label={`Retire ${agent.id}`}
+              >
+                <X className="w-3 h-3" />
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+      <AddAgentDialog open={adding} onOpenChange={setAdding} />
+      <AgentDetailDrawer agentId={selectedId} onClose={() => setSelectedId(null)} />
+    </div>
+  );
+};
+
+export default AgentStatus;
@@ -0,0 +1,75 @@
+import React, { useMemo } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { BarChart3 } from 'lucide-react';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { useAgentRegistry } from '../hooks/use-agent-registry';
+import { useMissionHistory } from '../hooks/use-mission-history';
+import { agentMetrics, agentMissions } from '../lib/agent-metrics';
+import AgentStatus from './AgentStatus';
+
+const formatRate = (rate) => (rate === null ? '—' : `${rate}%`);
+const formatLatency = (ms) => (ms === null ? '—' : `${(ms / 1000).toFixed(1)}s`);
+
+const AgentMetricsTable = ({ onSelect }) => {
+  const { agents } = useAgentRegistry();
+  const history = useMissionHistory();
+  const rows = useMemo(
+    () => agents.map((agent) => ({ agent, metrics: agentMetrics(agentMissions(history, agent.id)) })),
+    [agents, history]
+  );
+
+  return (
+    <div className="status-panel p-4">
+      <h3 className="flex items-center mb-4">
+        <BarChart3 className="w-5 h-5 mr-2" /> AGENT METRICS
+      </h3>
+      <Table className="text-xs">
+        <TableHeader>
+          <TableRow>
+            <TableHead>AGENT</TableHead>
+            <TableHead>CAPABILITIES</TableHead>
+            <TableHead>MISSIONS</TableHead>
+            <TableHead>SUCCESS</TableHead>
+            <TableHead>AVG LATENCY</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {rows.map(({ agent, metrics }) => (
+            <TableRow
+              key={agent.id}
+              className="cursor-pointer"
+              role="link"
+              tabIndex={0}
+              onClick={() => onSelect(agent.id)}
+              onKeyDown={(e) => e.key === 'Enter' && onSelect(agent.id)}
+            >
+              <TableCell className="text-white">{agent.id} · {agent.name}</TableCell>
+              <TableCell className="text-gray-400 max-w-48 truncate">{agent.capabilities}</TableCell>
+              <TableCell>{metrics.total}</TableCell>
+              <TableCell>{formatRate(metrics.successRate)}</TableCell>
+              <TableCell>{formatLatency(metrics.avgLatencyMs)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </div>
+  );
+};
+
+/** `/agents`: roster and metrics; `/agents/:agentId` opens that agent's drawer. */
+const AgentsPage = () => {
+  const { agentId } = useParams();
+  const navigate = useNavigate();
+  const select = (id) => navigate(id ? `/agents/${id}` : '/agents');
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="lg:col-span-2">
+        <AgentMetricsTable onSelect={select} />
+      </div>
+      <AgentStatus selectedId={agentId ?? null} onSelect={select} />
+    </div>
+  );
+};
+
+export default AgentsPage;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { Input } from '@/components/ui/input';
+import { useClassification } from '../hooks/use-classification';
+import { useMissionHistory } from '../hooks/use-mission-history';
+import { useOperations } from '../hooks/use-operations';
+import { classificationStore, highestLevel, levelInfo } from '../lib/classification';
+import PermissionGate from './PermissionGate';
+
+export const ClassificationSettings = ({ config }) => {
+  const [newLevel, setNewLevel] = useState('');
+  const { levels } = config;
+
+  const updateLevel = (id, patch) =>
+    classificationStore.update({ levels: levels.map((level) => (level.id === id ? { ...level, ...patch } : level)) });
+
+  const addLevel = () => {
+    const id = newLevel.trim().toUpperCase();
+    if (!id || levels.some((level) => level.id === id)) return;
+    classificationStore.update({ levels: [...levels, { id, color: '#c8102e' }] });
+    setNewLevel('');
+  };
+
+  const removeLevel = (id) => {
+    const remaining = levels.filter((level) => level.id !== id);
+    classificationStore.update({
+      levels: remaining,
+      defaultLevel: config.defaultLevel === id ? remaining[0].id : config.defaultLevel,
+      backendMaxLevel: config.backendMaxLevel === id ? remaining[0].id : config.backendMaxLevel,
+    });
+  };
+
+  return (
+    <PermissionGate permission="system.config" className="space-y-3 text-xs">
+      <div>
+        <h4 className="text-gray-400 mb-1">LEVELS (LOWEST FIRST)</h4>
+        {levels.map((level) => (
+          <div key={level.id} className="flex items-center space-x-2 mb-1">
+            <input
+              type="color"
+              value={level.color}
+              onChange={(e) => updateLevel(level.id, { color: e.target.value })}
+              aria-label={`${level.id} colour`}
+            />
+            <span className="flex-1">{level.id}</span>
+            <button
+              className="text-red-400 disabled:opacity-40"
+              onClick={() => removeLevel(level.id)}
+              disabled={levels.length === 1}
+              aria-label={`Remove ${level.id}`}
+            >
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </div>
+        ))}
+        <div className="flex space-x-1 mt-1">
+          <Input
+            className="mission-textarea h-7 text-xs"
+            placeholder="TOP SECRET"
+            value={newLevel}
+            onChange={(e) => setNewLevel(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && addLevel()}
+          />
+          <button className="quick-action-button px-2 rounded" onClick={addLevel} aria-label="Add level">
+            <Plus className="w-3 h-3" />
+          </button>
+        </div>
+      </div>
+
+      {[
+        ['defaultLevel', 'DEFAULT MARKING'],
+        ['backendMaxLevel', 'BACKEND MAXIMUM'],
+      ].map(([field, label]) => (
+        <label key={field} className="block text-gray-400">
+          {label}
+          <select
+            className="mission-textarea w-full p-1 rounded-md mt-1"
+            value={config[field]}
+            onChange={(e) => classificationStore.update({ [field]: e.target.value })}
+          >
+            {levels.map((level) => (
+              <option key={level.id} value={level.id}>{level.id}</option>
+            ))}
+          </select>
+        </label>
+      ))}
+
+      <button className="quick-action-button w-full p-1 rounded" onClick={() => classificationStore.reset()}>
+        RESET TO DEFAULTS
+      </button>
+    </PermissionGate>
+  );
+};
+
+/** Inline marking for a single mission or operation. */
+export const ClassificationMark = ({ level }) => {
+  const { levels, defaultLevel } = useClassification();
+  const marking = level || defaultLevel;
+  return (
+    <span className="classification-mark" style={{ color: levelInfo(marking, levels).color }}>
+      {marking}
+    </span>
+  );
+};
+
+/**
+ * Page marking banner. Shows the highest classification of anything on screen
+ * (operations and logged missions); the top banner also opens the level settings.
+ */
+const ClassificationBanner = ({ position }) => {
+  const config = useClassification();
+  const { operations } = useOperations();
+  const missions = useMissionHistory();
+
+  const level = highestLevel(
+    [...operations.map((op) => op.classification), ...missions.map((mission) => mission.classification)],
+    config
+  );
+  const style = { backgroundColor: levelInfo(level, config.levels).color };
+  const className = `classification-banner classification-${position}`;
+
+  if (position !== 'top') return <div className={className} style={style}>{level}</div>;
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <button className={className} style={style} title="Classification settings">
+          {level}
+        </button>
+      </PopoverTrigger>
+      <PopoverContent className="tactical-dialog w-72">
+        <ClassificationSettings config={config} />
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default ClassificationBanner;
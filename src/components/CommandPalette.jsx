@@ -0,0 +1,199 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTheme } from 'next-themes';
+import { Activity, BookOpen, Compass, History, LayoutGrid, Palette, PanelRight, Users, Zap } from 'lucide-react';
+import {
+  CommandDialog,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList,
+  CommandShortcut,
+} from '@/components/ui/command';
+import { useSidebar } from '@/components/ui/sidebar';
+import { useOperations } from '../hooks/use-operations';
+import { useAgentRegistry } from '../hooks/use-agent-registry';
+import { useQuickActions } from '../hooks/use-quick-actions';
+import { useMissionHistory } from '../hooks/use-mission-history';
+import { useTemplateLibrary } from '../hooks/use-template-library';
+import { useDashboardLayouts } from '../hooks/use-dashboard-layouts';
+import { useRole } from '../hooks/use-auth';
+import { actionPermission, actionTemplate, quickActions } from '../lib/quick-actions';
+import { can } from '../lib/permissions';
+import { latestVersion, templateLibrary } from '../lib/template-library';
+import { loadRecentCommands, pushRecentCommand } from '../lib/recent-commands';
+import { THEMES } from '../lib/themes';
+import { DASHBOARD_PANELS, activeLayout, dashboardLayouts } from '../lib/dashboard-layouts';
+import { NAV_ITEMS } from '../lib/navigation';
+
+const MAX_HISTORY_COMMANDS = 20;
+
+const CommandPalette = () => {
+  const [open, setOpen] = useState(false);
+  const [recent, setRecent] = useState(loadRecentCommands);
+  const { operations } = useOperations();
+  const { agents } = useAgentRegistry();
+  const { actions } = useQuickActions();
+  const { templates } = useTemplateLibrary();
+  const missions = useMissionHistory();
+  const layoutState = useDashboardLayouts();
+  const role = useRole();
+  const { setTheme } = useTheme();
+  const { toggleSidebar } = useSidebar();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key.toLowerCase() === 'k' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        setOpen((current) => !current);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const commands = useMemo(() => [
+    ...NAV_ITEMS.map((item) => ({
+      id: `nav:${item.path}`,
+      group: 'NAVIGATION',
+      icon: Compass,
+      label: `Go to ${item.label}`,
+      run: () => navigate(item.path),
+    })),
+    ...operations.map((operation) => ({
+      id: `operation:${operation.id}`,
+      group: 'OPERATIONS',
+      icon: Activity,
+      label: `${operation.id} · ${operation.name}`,
+      hint: operation.status,
+      keywords: [operation.type],
+      run: () => navigate(`/operations/${operation.id}`),
+    })),
+    ...agents.map((agent) => ({
+      id: `agent:${agent.id}`,
+      group: 'AGENTS',
+      icon: Users,
+      label: `${agent.id} · ${agent.name}`,
+      hint: agent.status,
+      keywords: [agent.capabilities],
+      run: () => navigate(`/agents/${agent.id}`),
+    })),
+    ...actions.filter((action) => can(role, actionPermission(action))).map((action) => ({
+      id: `action:${action.id}`,
+      group: 'QUICK ACTIONS',
+      icon: Zap,
+      label: action.label,
+      hint: action.kind === 'config' ? '' : action.mode.toUpperCase(),
+      keywords: [actionTemplate(action)],
+      run: () => quickActions.run(action.id),
+    })),
+    ...templates.map((template) => ({
+      id: `template:${template.id}`,
+      group: 'TEMPLATES',
+      icon: BookOpen,
+      label: `Use template: ${template.name}`,
+      hint: template.type,
+      keywords: [latestVersion(template).body],
+      run: () => templateLibrary.use(template.id),
+    })),
+    {
+      id: 'template:library',
+      group: 'TEMPLATES',
+      icon: BookOpen,
+      label: 'Open template library',
+      run: () => templateLibrary.setOpen(true),
+    },
+    ...missions.slice(0, MAX_HISTORY_COMMANDS).map((mission) => ({
+      id: `mission:${mission.id}`,
+      group: 'MISSION HISTORY',
+      icon: History,
+      label: mission.prompt.slice(0, 80),
+      hint: mission.status,
+      keywords: [mission.response.slice(0, 200)],
+      run: () => navigate(`/missions/${mission.id}`),
+    })),
+    ...THEMES.map((theme) => ({
+      id: `theme:${theme.id}`,
+      group: 'THEME',
+      icon: Palette,
+      label: `Theme: ${theme.label}`,
+      run: () => setTheme(theme.id),
+    })),
+    {
+      id: 'panel:mission-log',
+      group: 'PANELS',
+      icon: PanelRight,
+      label: 'Toggle Mission Log',
+      run: toggleSidebar,
+    },
+    ...DASHBOARD_PANELS.map((panel) => ({
+      id: `panel:${panel.id}`,
+      group: 'PANELS',
+      icon: PanelRight,
+      label: `${activeLayout(layoutState).hidden.includes(panel.id) ? 'Show' : 'Hide'} ${panel.label}`,
+      run: () => dashboardLayouts.toggleHidden(panel.id),
+    })),
+    ...layoutState.layouts.map((layout) => ({
+      id: `layout:${layout.id}`,
+      group: 'LAYOUTS',
+      icon: LayoutGrid,
+      label: `Layout: ${layout.name}`,
+      run: () => {
+        dashboardLayouts.select(layout.id);
+        navigate('/');
+      },
+    })),
+  ], [operations, agents, actions, templates, missions, layoutState, role, navigate, setTheme, toggleSidebar]);
+
+  const recentCommands = recent
+    .map((id) => commands.find((command) => command.id === id))
+    .filter(Boolean);
+
+  const groups = commands
+    .filter((command) => !recent.includes(command.id))
+    .reduce((grouped, command) => {
+      (grouped[command.group] ||= []).push(command);
+      return grouped;
+    }, {});
+
+  const runCommand = (command) => {
+    setOpen(false);
+    setRecent(pushRecentCommand(command.id));
+    command.run();
+  };
+
+  const renderItem = (command) => {
+    const Icon = command.icon;
+    return (
+      <CommandItem
+        key={command.id}
+        value={command.id}
+        keywords={[command.label, ...(command.keywords || [])]}
+        onSelect={() => runCommand(command)}
+      >
+        <Icon />
+        <span className="truncate">{command.label}</span>
+        {command.hint && <CommandShortcut>{command.hint}</CommandShortcut>}
+      </CommandItem>
+    );
+  };
+
+  return (
+    <CommandDialog open={open} onOpenChange={setOpen} title="Command Palette">
+      <CommandInput placeholder="Jump to a page, operation, agent, action or mission..." />
+      <CommandList>
+        <CommandEmpty>No matching commands.</CommandEmpty>
+        {recentCommands.length > 0 && (
+          <CommandGroup heading="RECENT">{recentCommands.map(renderItem)}</CommandGroup>
+        )}
+        {Object.entries(groups).map(([group, items]) => (
+          <CommandGroup key={group} heading={group}>{items.map(renderItem)}</CommandGroup>
+        ))}
+      </CommandList>
+    </CommandDialog>
+  );
+};
+
+export default CommandPalette;
@@ -0,0 +1,209 @@
+import React, { useLayoutEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { ChevronDown, ChevronUp, EyeOff, GripVertical } from 'lucide-react';
+import { ResizableHandle, ResizablePanel, ResizablePanelGroup } from '@/components/ui/resizable';
+import { useDashboardLayouts } from '../hooks/use-dashboard-layouts';
+import { useIsMobile } from '../hooks/use-mobile';
+import { DASHBOARD_PANELS, MAX_COLUMNS, activeLayout, dashboardLayouts, normalizeSizes } from '../lib/dashboard-layouts';
+import MissionInterface from './MissionInterface';
+import ActiveOperations from './ActiveOperations';
+import AgentStatus from './AgentStatus';
+import QuickActions from './QuickActions';
+import SystemStatus from './SystemStatus';
+
+const PANEL_COMPONENTS = {
+  mission: MissionInterface,
+  operations: ActiveOperations,
+  agents: AgentStatus,
+  quickActions: QuickActions,
+  systemStatus: SystemStatus,
+};
+
+const DRAG_TYPE = 'application/x-agentcy-panel';
+
+const labelOf = (id) => DASHBOARD_PANELS.find((panel) => panel.id === id).label;
+
+/**
+ * Title bar (drag handle, collapse, hide) around one panel. The panel itself renders into
+ * `host`, which the frame adopts; collapsing only hides the body.
+ */
+const PanelFrame = ({ id, host, collapsed, dragging, drop, onDragStart, onDragEnd }) => {
+  const bodyRef = useRef(null);
+
+  useLayoutEffect(() => {
+    bodyRef.current.appendChild(host);
+  }, [host]);
+
+  return (
+    <div
+      className={`dashboard-panel ${collapsed ? 'collapsed' : ''} ${dragging === id ? 'dragging' : ''}`}
+      {...drop}
+    >
+      <div
+        className="dashboard-panel-bar"
+        draggable
+        onDragStart={(e) => {
+          e.dataTransfer.setData(DRAG_TYPE, id);
+          e.dataTransfer.effectAllowed = 'move';
+          onDragStart(id);
+        }}
+        onDragEnd={onDragEnd}
+      >
+        <GripVertical className="w-3 h-3 mr-1" />
+        <span className="flex-1">{labelOf(id).toUpperCase()}</span>
+        <button
+          onClick={() => dashboardLayouts.toggleCollapsed(id)}
+          aria-label={`${collapsed ? 'Expand' : 'Collapse'} ${labelOf(id)}`}
+        >
+          {collapsed ? <ChevronDown className="w-3 h-3" /> : <ChevronUp className="w-3 h-3" />}
+        </button>
+        <button className="ml-1" onClick={() => dashboardLayouts.toggleHidden(id)} aria-label={`Hide ${labelOf(id)}`}>
+          <EyeOff className="w-3 h-3" />
+        </button>
+      </div>
+      <div ref={bodyRef} className="dashboard-panel-body" />
+      {/* Portaled panel content doesn't bubble to the frame, so drops land on this instead. */}
+      {dragging && <div className="dashboard-drop-overlay" />}
+    </div>
+  );
+};
+
+/**
+ * The command center at `/`: panels arranged by the active named layout. Columns and
+ * the panels stacked in them resize, panels drag between columns by their title bar,
+ * and collapsed panels sit as bars at the foot of their column. Small screens stack
+ * the same panels in a single column.
+ */
+const Dashboard = () => {
+  const snapshot = useDashboardLayouts();
+  const layout = activeLayout(snapshot);
+  const isMobile = useIsMobile();
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  // Panels render once into these nodes, so moving, collapsing or re-keying a frame never
+  // remounts them (the mission composer would lose its in-flight mission or pipeline).
+  const [hosts] = useState(() =>
+    Object.fromEntries(DASHBOARD_PANELS.map(({ id }) => {
+      const host = document.createElement('div');
+      host.style.display = 'contents';
+      return [id, host];
+    }))
+  );
+
+  const endDrag = () => {
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  // Dropping on a panel puts the dragged one above it; `beforeId` null appends to the column.
+  const dropZone = (columnIndex, beforeId = null) => {
+    const key = `${columnIndex}:${beforeId ?? 'end'}`;
+    return {
+      'data-drop-active': dropTarget === key || undefined,
+      onDragOver: (e) => {
+        if (!dragging) return;
+        e.preventDefault();
+        e.stopPropagation();
+        setDropTarget(key);
+      },
+      onDrop: (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (dragging) dashboardLayouts.movePanel(dragging, columnIndex, beforeId);
+        endDrag();
+      },
+    };
+  };
+
+  const renderPanel = (id, columnIndex) => (
+    <PanelFrame
+      key={id}
+      id={id}
+      host={hosts[id]}
+      collapsed={layout.collapsed.includes(id)}
+      dragging={dragging}
+      drop={dropZone(columnIndex, id)}
+      onDragStart={setDragging}
+      onDragEnd={endDrag}
+    />
+  );
+
+  const columns = layout.columns
+    .map((column, index) => ({ index, panels: column.panels.filter((id) => !layout.hidden.includes(id)) }))
+    .filter((column) => column.panels.length > 0);
+
+  const panels = columns.flatMap((column) =>
+    column.panels.map((id) => {
+      const Panel = PANEL_COMPONENTS[id];
+      return createPortal(<Panel />, hosts[id], id);
+    })
+  );
+
+  if (columns.length === 0) {
+    return <p className="status-panel p-4 text-xs text-gray-400">Every panel is hidden; show some from the layout menu.</p>;
+  }
+
+  if (isMobile) {
+    return (
+      <div className="space-y-4">
+        {columns.flatMap((column) => column.panels.map((id) => renderPanel(id, column.index)))}
+        {panels}
+      </div>
+    );
+  }
+
+  // Resizable panels only read their sizes on mount; remount when a layout is picked or reset.
+  const revision = `${layout.id}:${snapshot.revision}`;
+  const columnSizes = normalizeSizes(columns.map((column) => layout.columns[column.index].size));
+
+  return (
+    <div className="flex">
+      <ResizablePanelGroup
+        key={revision}
+        direction="horizontal"
+        className="dashboard-layout"
+        onLayout={(sizes) => dashboardLayouts.resizeColumns(columns.map((column) => column.index), sizes)}
+      >
+        {columns.map((column, position) => {
+          const expanded = column.panels.filter((id) => !layout.collapsed.includes(id));
+          const collapsed = column.panels.filter((id) => layout.collapsed.includes(id));
+          const panelSizes = normalizeSizes(expanded.map((id) => layout.sizes[id]));
+          return (
+            <React.Fragment key={column.index}>
+              {position > 0 && <ResizableHandle withHandle className="dashboard-handle" />}
+              <ResizablePanel id={`column-${column.index}`} order={position} defaultSize={columnSizes[position]} minSize={15}>
+                <div className="flex flex-col h-full min-h-0">
+                  {expanded.length > 0 && (
+                    <ResizablePanelGroup
+                      key={revision}
+                      direction="vertical"
+                      className="flex-1 min-h-0"
+                      onLayout={(sizes) => dashboardLayouts.resizePanels(expanded, sizes)}
+                    >
+                      {expanded.map((id, index) => (
+                        <React.Fragment key={id}>
+                          {index > 0 && <ResizableHandle withHandle className="dashboard-handle" />}
+                          <ResizablePanel id={id} order={index} defaultSize={panelSizes[index]} minSize={10}>
+                            {renderPanel(id, column.index)}
+                          </ResizablePanel>
+                        </React.Fragment>
+                      ))}
+                    </ResizablePanelGroup>
+                  )}
+                  {collapsed.map((id) => renderPanel(id, column.index))}
+                  <div className={`dashboard-drop-end ${expanded.length ? '' : 'flex-1'}`} {...dropZone(column.index)} />
+                </div>
+              </ResizablePanel>
+            </React.Fragment>
+          );
+        })}
+      </ResizablePanelGroup>
+      {dragging && layout.columns.length < MAX_COLUMNS && (
+        <div className="dashboard-new-column" {...dropZone(layout.columns.length)}>NEW COLUMN</div>
+      )}
+      {panels}
+    </div>
+  );
+};
+
+export default Dashboard;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { Download } from 'lucide-react';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { EXPORT_FORMATS, downloadExport } from '../lib/report-export';
+
+/** Download menu offering every export format; `build(formatId)` returns the file. */
+const ExportMenu = ({ build, label = 'EXPORT', className = '' }) => (
+  <DropdownMenu>
+    <DropdownMenuTrigger asChild>
+      <button className={`quick-action-button p-1 px-2 rounded text-xs flex items-center ${className}`} aria-label="Export">
+        <Download className={`w-3 h-3 ${label ? 'mr-1' : ''}`} />
+        {label}
+      </button>
+    </DropdownMenuTrigger>
+    <DropdownMenuContent className="tactical-dialog" align="end">
+      <DropdownMenuLabel className="text-xs text-gray-400">EXPORT AS</DropdownMenuLabel>
+      {EXPORT_FORMATS.map((format) => (
+        <DropdownMenuItem key={format.id} onSelect={() => downloadExport(build(format.id))}>
+          {format.label}
+        </DropdownMenuItem>
+      ))}
+    </DropdownMenuContent>
+  </DropdownMenu>
+);
+
+export default ExportMenu;
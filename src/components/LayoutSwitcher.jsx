@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { LayoutGrid, Save, Trash2 } from 'lucide-react';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import { useDashboardLayouts } from '../hooks/use-dashboard-layouts';
+import { DASHBOARD_PANELS, activeLayout, dashboardLayouts, isBuiltIn } from '../lib/dashboard-layouts';
+
+/** Header button naming the active dashboard layout; switches, saves and edits layouts. */
+const LayoutSwitcher = () => {
+  const snapshot = useDashboardLayouts();
+  const layout = activeLayout(snapshot);
+  const [name, setName] = useState('');
+
+  const handleSave = () => {
+    if (!name.trim()) return;
+    dashboardLayouts.saveAs(name);
+    setName('');
+  };
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <button className="quick-action-button px-2 py-1 rounded text-xs flex items-center" title="Dashboard layout">
+          <LayoutGrid className="w-3 h-3 mr-1" /> {layout.name.toUpperCase()}
+        </button>
+      </PopoverTrigger>
+      <PopoverContent className="tactical-dialog w-72 space-y-3 text-xs" align="end">
+        <div>
+          <h4 className="text-gray-400 mb-1">LAYOUTS</h4>
+          {snapshot.layouts.map((entry) => (
+            <div key={entry.id} className="flex items-center space-x-1 mb-1">
+              <button
+                className={`quick-action-button flex-1 p-1 rounded text-left ${entry.id === layout.id ? 'active' : ''}`}
+                onClick={() => dashboardLayouts.select(entry.id)}
+              >
+                {entry.name}
+              </button>
+              {!isBuiltIn(entry.id) && (
+                <button
+                  className="text-gray-500 hover:text-red-400"
+                  onClick={() => dashboardLayouts.remove(entry.id)}
+                  aria-label={`Delete ${entry.name}`}
+                >
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div>
+          <h4 className="text-gray-400 mb-1">PANELS</h4>
+          {DASHBOARD_PANELS.map((panel) => (
+            <label key={panel.id} className="flex items-center space-x-2 mb-1">
+              <Checkbox
+                checked={!layout.hidden.includes(panel.id)}
+                onCheckedChange={() => dashboardLayouts.toggleHidden(panel.id)}
+              />
+              <span>{panel.label}</span>
+            </label>
+          ))}
+        </div>
+
+        <div className="flex space-x-1">
+          <Input
+            className="mission-textarea h-7 text-xs"
+            placeholder="Save current as…"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+          />
+          <button className="quick-action-button px-2 rounded" onClick={handleSave} aria-label="Save layout">
+            <Save className="w-3 h-3" />
+          </button>
+        </div>
+
+        {isBuiltIn(layout.id) && (
+          <button className="quick-action-button w-full p-1 rounded" onClick={() => dashboardLayouts.reset()}>
+            RESET {layout.name.toUpperCase()}
+          </button>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default LayoutSwitcher;
@@ -0,0 +1,90 @@
+import React from 'react';
+
+// A small markdown subset for operator notes, rendered to elements (never raw HTML):
+// headings, paragraphs, bullet and numbered lists, blockquotes, fenced code,
+// **bold**, *italic*, `code` and [links](https://…).
+
+const INLINE = /(`[^`]+`|\*\*[^*]+\*\*|\*[^*\s][^*]*\*|_[^_\s][^_]*_|\[[^\]]+\]\([^)\s]+\))/g;
+
+const safeHref = (href) => (/^(https?:|mailto:)/i.test(href) ? href : null);
+
+const renderInline = (text) =>
+  text.split(INLINE).map((part, index) => {
+    if (!part) return null;
+    if (part.startsWith('`')) return <code key={index} className="bg-gray-900 px-1 rounded">{part.slice(1, -1)}</code>;
+    if (part.startsWith('**')) return <strong key={index}>{part.slice(2, -2)}</strong>;
+    if (/^[*_]/.test(part) && part.length > 2) return <em key={index}>{part.slice(1, -1)}</em>;
+    const link = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+    if (link) {
+      const href = safeHref(link[2]);
+      return href
+        ? <a key={index} href={href} target="_blank" rel="noreferrer" className="underline text-green-400">{link[1]}</a>
+        : link[1];
+    }
+    return part;
+  });
+
+const parseBlocks = (source) => {
+  const lines = source.replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  const collect = (test, strip) => {
+    const items = [];
+    while (index < lines.length && test(lines[index])) items.push(strip(lines[index++]));
+    return items;
+  };
+
+  while (index < lines.length) {
+    const line = lines[index];
+    if (!line.trim()) {
+      index += 1;
+    } else if (line.startsWith('```')) {
+      index += 1;
+      const code = collect((next) => !next.startsWith('```'), (next) => next);
+      index += 1;
+      blocks.push({ type: 'code', text: code.join('\n') });
+    } else if (/^#{1,4}\s/.test(line)) {
+      const [, hashes, text] = line.match(/^(#{1,4})\s+(.*)$/);
+      blocks.push({ type: 'heading', level: hashes.length, text });
+      index += 1;
+    } else if (/^\s*[-*]\s/.test(line)) {
+      blocks.push({ type: 'ul', items: collect((next) => /^\s*[-*]\s/.test(next), (next) => next.replace(/^\s*[-*]\s+/, '')) });
+    } else if (/^\s*\d+[.)]\s/.test(line)) {
+      blocks.push({ type: 'ol', items: collect((next) => /^\s*\d+[.)]\s/.test(next), (next) => next.replace(/^\s*\d+[.)]\s+/, '')) });
+    } else if (line.startsWith('>')) {
+      blocks.push({ type: 'quote', text: collect((next) => next.startsWith('>'), (next) => next.replace(/^>\s?/, '')).join(' ') });
+    } else {
+      const paragraph = collect((next) => next.trim() && !/^(#{1,4}\s|```|>|\s*[-*]\s|\s*\d+[.)]\s)/.test(next), (next) => next.trim());
+      blocks.push({ type: 'p', text: paragraph.join(' ') });
+    }
+  }
+  return blocks;
+};
+
+const HEADING_CLASSES = ['', 'text-base', 'text-sm', 'text-sm', 'text-xs'];
+
+const Markdown = ({ source, className = '' }) => (
+  <div className={`markdown space-y-2 ${className}`}>
+    {parseBlocks(source || '').map((block, index) => {
+      switch (block.type) {
+        case 'heading': {
+          const Tag = `h${block.level + 2}`;
+          return <Tag key={index} className={`${HEADING_CLASSES[block.level]} font-bold text-green-400`}>{renderInline(block.text)}</Tag>;
+        }
+        case 'ul':
+          return <ul key={index} className="list-disc pl-5 space-y-1">{block.items.map((item, i) => <li key={i}>{renderInline(item)}</li>)}</ul>;
+        case 'ol':
+          return <ol key={index} className="list-decimal pl-5 space-y-1">{block.items.map((item, i) => <li key={i}>{renderInline(item)}</li>)}</ol>;
+        case 'quote':
+          return <blockquote key={index} className="border-l-2 border-gray-600 pl-3 text-gray-400">{renderInline(block.text)}</blockquote>;
+        case 'code':
+          return <pre key={index} className="bg-gray-900 p-2 rounded font-mono whitespace-pre-wrap">{block.text}</pre>;
+        default:
+          return <p key={index}>{renderInline(block.text)}</p>;
+      }
+    })}
+  </div>
+);
+
+export default Markdown;
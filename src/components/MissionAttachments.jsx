@@ -0,0 +1,74 @@
+import React, { useRef } from 'react';
+import { FileJson, FileSpreadsheet, FileText, Image, Paperclip, X } from 'lucide-react';
+import { ACCEPTED_FILES, ATTACHMENT_LIMITS, formatBytes } from '../lib/attachments';
+
+const KIND_ICONS = {
+  text: FileText,
+  csv: FileSpreadsheet,
+  json: FileJson,
+  pdf: FileText,
+  image: Image,
+};
+
+/** Chips for a mission's attachments, plus the file picker; dropping onto the textarea is handled by the caller. */
+const MissionAttachments = ({ attachments, errors, onAdd, onRemove, onDismissErrors, disabled }) => {
+  const inputRef = useRef(null);
+  const total = attachments.reduce((sum, attachment) => sum + attachment.size, 0);
+
+  return (
+    <div className="mission-attachments mb-2 text-xs">
+      <div className="flex flex-wrap items-center gap-1">
+        <button
+          className="quick-action-button px-2 py-1 rounded flex items-center"
+          onClick={() => inputRef.current?.click()}
+          disabled={disabled}
+          title={`Text, CSV, JSON, PDF or images · ${formatBytes(ATTACHMENT_LIMITS.maxFileBytes)} per file`}
+        >
+          <Paperclip className="w-3 h-3 mr-1" /> ATTACH
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          hidden
+          accept={ACCEPTED_FILES}
+          onChange={(e) => {
+            onAdd([...e.target.files]);
+            e.target.value = '';
+          }}
+        />
+        {attachments.map((attachment) => {
+          const Icon = KIND_ICONS[attachment.kind];
+          return (
+            <span
+              key={attachment.id}
+              className="attachment-chip flex items-center px-2 py-1 rounded"
+              title={attachment.text ? `${attachment.text.length} characters extracted` : 'No text extracted; sent as a file only'}
+            >
+              <Icon className="w-3 h-3 mr-1" />
+              <span className="truncate max-w-40">{attachment.name}</span>
+              <span className="text-gray-500 ml-1">{formatBytes(attachment.size)}</span>
+              {!attachment.text && <span className="text-yellow-400 ml-1">· file only</span>}
+              <button className="ml-1 hover:text-red-400" onClick={() => onRemove(attachment.id)} disabled={disabled} aria-label={`Remove ${attachment.name}`}>
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          );
+        })}
+        {attachments.length > 0 && (
+          <span className="text-gray-500 ml-auto">
+            {attachments.length}/{ATTACHMENT_LIMITS.maxFiles} · {formatBytes(total)} of {formatBytes(ATTACHMENT_LIMITS.maxTotalBytes)}
+          </span>
+        )}
+      </div>
+      {errors.length > 0 && (
+        <div className="text-red-400 mt-1">
+          {errors.map((error) => <p key={error}>{error}</p>)}
+          <button className="underline text-gray-400" onClick={onDismissErrors}>dismiss</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MissionAttachments;
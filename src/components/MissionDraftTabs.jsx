@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { FolderOpen, Plus, Save, Trash2, X } from 'lucide-react';
+import { TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { Input } from '@/components/ui/input';
+import { useMissionDrafts } from '../hooks/use-mission-drafts';
+import { isDirty, missionDrafts } from '../lib/mission-drafts';
+
+const SaveDraftPopover = ({ tab }) => {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState('');
+
+  const handleOpenChange = (next) => {
+    setOpen(next);
+    if (next) setName(tab.name);
+  };
+
+  const save = () => {
+    missionDrafts.saveDraft(tab.id, name);
+    setOpen(false);
+  };
+
+  return (
+    <Popover open={open} onOpenChange={handleOpenChange}>
+      <PopoverTrigger asChild>
+        <button className="quick-action-button p-1 rounded" title="Save as named draft" aria-label="Save draft">
+          <Save className="w-3 h-3" />
+        </button>
+      </PopoverTrigger>
+      <PopoverContent className="tactical-dialog w-64 text-xs" align="end">
+        <h4 className="text-gray-400 mb-2">SAVE DRAFT AS</h4>
+        <div className="flex space-x-1">
+          <Input
+            className="mission-textarea h-7 text-xs"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && save()}
+            autoFocus
+          />
+          <button className="quick-action-button px-2 rounded" onClick={save} disabled={!name.trim()}>
+            SAVE
+          </button>
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+const SavedDraftsPopover = ({ saved }) => (
+  <Popover>
+    <PopoverTrigger asChild>
+      <button className="quick-action-button p-1 rounded" title="Open a saved draft" aria-label="Saved drafts">
+        <FolderOpen className="w-3 h-3" />
+      </button>
+    </PopoverTrigger>
+    <PopoverContent className="tactical-dialog w-72 text-xs" align="end">
+      <h4 className="text-gray-400 mb-2">SAVED DRAFTS</h4>
+      {saved.length === 0 && <p className="text-gray-500">No saved drafts yet.</p>}
+      <ul className="space-y-1 max-h-60 overflow-y-auto">
+        {saved.map((draft) => (
+          <li key={draft.id} className="flex items-center space-x-2">
+            <button className="flex-1 text-left hover:text-green-400 min-w-0" onClick={() => missionDrafts.openDraft(draft.id)}>
+              <span className="block truncate text-white">{draft.name}</span>
+              <span className="text-gray-500">{format(new Date(draft.savedAt), 'yyyy-MM-dd HH:mm')}</span>
+            </button>
+            <button className="text-red-400" onClick={() => missionDrafts.deleteDraft(draft.id)} aria-label={`Delete ${draft.name}`}>
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </PopoverContent>
+  </Popover>
+);
+
+/** Tab strip for parallel mission drafts; render inside a `Tabs` root. */
+const MissionDraftTabs = ({ disabled }) => {
+  const { tabs, activeTabId, saved } = useMissionDrafts();
+  const activeTab = tabs.find((tab) => tab.id === activeTabId) || tabs[0];
+
+  return (
+    <div className="flex items-center space-x-1 mb-4">
+      <TabsList className="mission-tabs flex-1 justify-start overflow-x-auto">
+        {tabs.map((tab) => (
+          <TabsTrigger key={tab.id} value={tab.id} className="mission-tab flex-none text-xs" disabled={disabled}>
+            {tab.name}
+            {isDirty(tab, saved) && <span className="text-yellow-400" title="Unsaved changes">•</span>}
+            <span
+              role="button"
+              tabIndex={-1}
+              className="ml-1 text-gray-500 hover:text-red-400"
+              onClick={(e) => {
+                e.stopPropagation();
+                missionDrafts.closeTab(tab.id);
+              }}
+              aria-label={`Close ${tab.name}`}
+            >
+              <X className="w-3 h-3" />
+            </span>
+          </TabsTrigger>
+        ))}
+      </TabsList>
+      <button
+        className="quick-action-button p-1 rounded"
+        onClick={() => missionDrafts.openTab()}
+        disabled={disabled}
+        title="New mission tab"
+        aria-label="New tab"
+      >
+        <Plus className="w-3 h-3" />
+      </button>
+      <SaveDraftPopover tab={activeTab} />
+      <SavedDraftsPopover saved={saved} />
+    </div>
+  );
+};
+
+export default MissionDraftTabs;
@@ -0,0 +1,178 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { format } from 'date-fns';
+import { History, RotateCcw, ClipboardCopy, Trash2, ChevronDown } from 'lucide-react';
+import {
+  Sidebar,
+  SidebarContent,
+  SidebarFooter,
+  SidebarGroup,
+  SidebarGroupContent,
+  SidebarGroupLabel,
+  SidebarHeader,
+  SidebarInput,
+  SidebarMenu,
+  SidebarMenuItem,
+  useSidebar,
+} from '@/components/ui/sidebar';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from '@/components/ui/collapsible';
+import { useMissionHistory } from '../hooks/use-mission-history';
+import { usePermission } from '../hooks/use-auth';
+import { missionHistory, searchMissions } from '../lib/mission-history';
+import { prefillMission, executeMission } from '../lib/mission-commands';
+import { ClassificationMark } from './ClassificationBanner';
+
+const STATUS_FILTERS = ['ALL', 'SUCCESS', 'FAILED'];
+
+const formatDuration = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+export const MissionLogToggle = () => {
+  const { toggleSidebar, open } = useSidebar();
+
+  return (
+    <button
+      className={`quick-action-button px-3 py-1 rounded text-xs flex items-center ${open ? 'active' : ''}`}
+      onClick={toggleSidebar}
+    >
+      <History className="w-4 h-4 mr-1" />
+      MISSION LOG
+    </button>
+  );
+};
+
+const MissionLogEntry = ({ entry, focused }) => {
+  const [open, setOpen] = useState(focused);
+  const ref = useRef(null);
+  const canExecute = usePermission('missions.execute');
+
+  useEffect(() => {
+    if (!focused) return;
+    setOpen(true);
+    ref.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }, [focused]);
+
+  return (
+    <SidebarMenuItem ref={ref}>
+      <Collapsible className="mission-log-entry" open={open} onOpenChange={setOpen}>
+        <CollapsibleTrigger className="w-full text-left p-2 flex items-start">
+          <div className="flex-1 min-w-0">
+            <div className="flex justify-between items-center mb-1">
+              <span className={`operation-status ${entry.status === 'SUCCESS' ? 'completed' : 'critical'} text-xs`}>
+                {entry.status}
+              </span>
+              <ClassificationMark level={entry.classification} />
+              <span className="text-xs text-gray-400">{formatDuration(entry.durationMs)}</span>
+            </div>
+            <div className="text-sm text-white truncate">{entry.prompt}</div>
+            <div className="text-xs text-gray-400">{format(new Date(entry.startedAt), 'yyyy-MM-dd HH:mm:ss')}</div>
+          </div>
+          <ChevronDown className="w-4 h-4 ml-1 text-gray-400 shrink-0" />
+        </CollapsibleTrigger>
+        <CollapsibleContent className="px-2 pb-2">
+          <p className="text-xs text-gray-300 mb-2 whitespace-pre-wrap">{entry.prompt}</p>
+          {entry.message && <p className="text-xs text-gray-400 mb-2">{entry.message}</p>}
+          {entry.response && (
+            <div className="bg-gray-900 p-2 rounded-md text-xs font-mono whitespace-pre-wrap max-h-48 overflow-y-auto mb-2">
+              {entry.response}
+            </div>
+          )}
+          <div className="flex space-x-1">
+            <button
+              className="quick-action-button flex-1 p-1 rounded text-xs flex items-center justify-center"
+              onClick={() => executeMission(entry.prompt, { missionType: entry.missionType })}
+              disabled={!canExecute}
+            >
+              <RotateCcw className="w-3 h-3 mr-1" /> RE-RUN
+            </button>
+            <button
+              className="quick-action-button flex-1 p-1 rounded text-xs flex items-center justify-center"
+              onClick={() => prefillMission(entry.prompt, { missionType: entry.missionType })}
+            >
+              <ClipboardCopy className="w-3 h-3 mr-1" /> TO INPUT
+            </button>
+            <button
+              className="quick-action-button threat p-1 rounded text-xs flex items-center justify-center"
+              onClick={() => missionHistory.remove(entry.id)}
+              aria-label="Delete entry"
+            >
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </div>
+        </CollapsibleContent>
+      </Collapsible>
+    </SidebarMenuItem>
+  );
+};
+
+const MissionHistory = ({ focus }) => {
+  const entries = useMissionHistory();
+  const [query, setQuery] = useState('');
+  const [statusFilter, setStatusFilter] = useState('ALL');
+
+  // Make sure a mission opened from elsewhere isn't hidden by the current filters.
+  useEffect(() => {
+    if (!focus) return;
+    setQuery('');
+    setStatusFilter('ALL');
+  }, [focus]);
+
+  const filtered = useMemo(
+    () => searchMissions(entries, query, statusFilter),
+    [entries, query, statusFilter]
+  );
+
+  return (
+    <Sidebar side="right" collapsible="offcanvas" className="mission-log">
+      <SidebarHeader>
+        <h3 className="flex items-center text-green-400 font-bold">
+          <History className="w-5 h-5 mr-2" />
+          MISSION LOG
+        </h3>
+        <SidebarInput
+          className="mission-textarea"
+          placeholder="Search prompts and analyses..."
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <div className="flex space-x-1">
+          {STATUS_FILTERS.map((status) => (
+            <button
+              key={status}
+              className={`quick-action-button flex-1 p-1 rounded text-xs ${statusFilter === status ? 'active' : ''}`}
+              onClick={() => setStatusFilter(status)}
+            >
+              {status}
+            </button>
+          ))}
+        </div>
+      </SidebarHeader>
+      <SidebarContent>
+        <SidebarGroup>
+          <SidebarGroupLabel>
+            {filtered.length} OF {entries.length} MISSIONS
+          </SidebarGroupLabel>
+          <SidebarGroupContent>
+            <SidebarMenu>
+              {filtered.map((entry) => (
+                <MissionLogEntry key={entry.id} entry={entry} focused={focus?.id === entry.id} />
+              ))}
+            </SidebarMenu>
+            {filtered.length === 0 && (
+              <p className="text-xs text-gray-400 p-2">No missions match.</p>
+            )}
+          </SidebarGroupContent>
+        </SidebarGroup>
+      </SidebarContent>
+      <SidebarFooter>
+        <button
+          className="quick-action-button threat p-2 rounded text-xs"
+          onClick={() => missionHistory.clear()}
+          disabled={entries.length === 0}
+        >
+          CLEAR LOG
+        </button>
+      </SidebarFooter>
+    </Sidebar>
+  );
+};
+
+export default MissionHistory;
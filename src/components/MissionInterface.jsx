@@ -1,61 +1,173 @@
-import React, { useState }m from 'react';
-import { Send, CheckCircle, XCircle, Loader } from 'lucide-react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { Send, Loader, Square, MessageSquarePlus } from 'lucide-react';
+import { runMission } from '../lib/mission-runner';
+import { onMissionCommand } from '../lib/mission-commands';
+import { isTerminal } from '../lib/operations';
+import { useOperations } from '../hooks/use-operations';
+import { useAgentRegistry } from '../hooks/use-agent-registry';
+import { suggestAgent } from '../lib/dispatcher';
+import { canRelease } from '../lib/classification';
+import { useClassification } from '../hooks/use-classification';
+import { useProvider } from '../hooks/use-provider';
+import { modelLabel, providerMaxLevel } from '../lib/providers';
+import { missionQueue } from '../lib/mission-queue';
+import { useQuickActions } from '../hooks/use-quick-actions';
+import { actionPermission, quickActions } from '../lib/quick-actions';
+import { can, deniedMessage } from '../lib/permissions';
+import { AUTO_AGENT, missionDrafts } from '../lib/mission-drafts';
+import { useMissionDrafts } from '../hooks/use-mission-drafts';
+import { useRole } from '../hooks/use-auth';
+import { createTurn, resultStatus, threadHistory } from '../lib/mission-thread';
+import { attachmentMeta, readAttachments } from '../lib/attachments';
+import PipelineBuilder from './PipelineBuilder';
+import MissionQueue from './MissionQueue';
+import MissionDraftTabs from './MissionDraftTabs';
+import MissionThread from './MissionThread';
+import MissionAttachments from './MissionAttachments';
+import { Tabs, TabsContent } from '@/components/ui/tabs';
 
 const MissionInterface = () => {
-  const [missionInput, setMissionInput] = useState('');
-  const [missionResult, setMissionResult] = useState(null);
-  const [isLoading, setIsLoading] = useState(false);
-
-  const handleMissionExecute = async () => {
-    if (!missionInput.trim()) return;
-
-    setIsLoading(true);
-    setMissionResult(null);
-
-    try {
-      const response = await fetch(
-        `${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000'}/api/mission/execute`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ mission: missionInput }),
-        }
-      );
-
-      const data = await response.json();
-
-      if (response.ok) {
-        setMissionResult({ success: true, message: data.message, analysis: data.mission.ai_analysis });
-      } else {
-        setMissionResult({ success: false, message: data.error || 'Unknown error occurred' });
-      }
-    } catch (error) {
-      setMissionResult({ success: false, message: `Network error: ${error.message}` });
-    } finally {
-      setIsLoading(false);
+  // The turn in flight; finished turns live in the draft tab's thread.
+  const [pending, setPending] = useState(null);
+  const isLoading = Boolean(pending);
+  // Attachments hold File objects, so they live here per tab rather than in the stored drafts.
+  const [attachmentsByTab, setAttachmentsByTab] = useState({});
+  const [dragging, setDragging] = useState(false);
+  const [mode, setMode] = useState('SINGLE');
+  // Leaving PIPELINE mode unmounts the builder and aborts its run, so commands wait for it.
+  const [pipelineRunning, setPipelineRunning] = useState(false);
+  const [deferredCommand, setDeferredCommand] = useState(null);
+  const { tabs, activeTabId, saveError } = useMissionDrafts();
+  const tab = tabs.find((entry) => entry.id === activeTabId) || tabs[0];
+  const { prompt: missionInput, missionType, operationId, agentChoice, thread } = tab;
+  const classificationConfig = useClassification();
+  const classification = tab.classification || classificationConfig.defaultLevel;
+  const { settings: providerSettings, provider, model } = useProvider();
+  const { operations } = useOperations();
+  const { agents } = useAgentRegistry();
+  const { actions } = useQuickActions();
+  const role = useRole();
+  const canExecute = can(role, 'missions.execute');
+  const pinnedActions = actions.filter((action) => action.pinned && can(role, actionPermission(action)));
+  const abortRef = useRef(null);
+  const textareaRef = useRef(null);
+
+  const updateDraft = (patch) => missionDrafts.updateTab(tab.id, patch);
+
+  const { items: attachments = [], errors: attachmentErrors = [] } = attachmentsByTab[tab.id] || {};
+  const setTabAttachments = (tabId, fn) =>
+    setAttachmentsByTab((current) => ({ ...current, [tabId]: fn(current[tabId] || { items: [], errors: [] }) }));
+
+  const addAttachments = async (files) => {
+    const tabId = tab.id;
+    const { accepted, errors } = await readAttachments(files, attachments);
+    setTabAttachments(tabId, (current) => ({ items: [...current.items, ...accepted], errors }));
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!isLoading && e.dataTransfer.files.length) addAttachments([...e.dataTransfer.files]);
+  };
+
+  const maxLevel = providerMaxLevel(providerSettings, classificationConfig);
+  const releasable = canRelease(classification, maxLevel, classificationConfig.levels);
+
+  const suggestion = useMemo(() => suggestAgent(missionInput, agents), [missionInput, agents]);
+
+  const resolveAgentId = (prompt) =>
+    agentChoice === AUTO_AGENT ? suggestAgent(prompt, agents)?.agent.id ?? null : agentChoice;
+
+  // No abort on unmount: moving between pages lets an in-flight mission finish, and its
+  // turn still lands in the tab's thread through the drafts store.
+
+  const handleMissionExecute = async (prompt = missionInput, type = missionType) => {
+    if (!prompt.trim() || abortRef.current) return;
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const agentId = resolveAgentId(prompt);
+    const tabId = tab.id;
+    setPending({ tabId, prompt, attachments, analysis: '' });
+
+    // Follow-ups carry the earlier answered turns so the provider keeps the context.
+    const mission = {
+      prompt,
+      attachments,
+      history: threadHistory(thread),
+      threadId: tab.threadId,
+      agentId,
+      operationId: operationId || null,
+      missionType: type,
+      classification,
+    };
+    let { result, record } = await runMission({
+      ...mission,
+      deferRetryable: true,
+      signal: controller.signal,
+      onToken: (token, analysis) => setPending((current) => ({ ...current, analysis })),
+    });
+
+    abortRef.current = null;
+    setPending(null);
+    const queued = result.retryable;
+    if (queued) {
+      result = { ...result, queued: true, message: `${result.message}. Mission queued; retrying automatically.` };
+    }
+    const status = resultStatus(result);
+    const turn = createTurn({ prompt, attachments: attachments.map(attachmentMeta), status, result, record });
+    missionDrafts.appendTurn(tabId, turn);
+    // Backend unreachable: keep the mission and let the queue retry it, answering this turn when it lands.
+    if (queued) missionQueue.enqueue(mission, result.message, { tabId, turnId: turn.id });
+    // Answered or queued turns clear the input for the next follow-up; failures keep it for a retry.
+    if (status === 'SUCCESS' || status === 'QUEUED') {
+      missionDrafts.updateTab(tabId, { prompt: '' });
+      setTabAttachments(tabId, () => ({ items: [], errors: [] }));
     }
   };
 
-  const handleQuickAction = async (actionType) => {
-    let prompt = '';
-    switch (actionType) {
-      case 'INTEL':
-        prompt = 'Gather intelligence on recent activities in the designated area. Provide a summary of key findings and potential implications.';
-        break;
-      case 'TACTICAL':
-        prompt = 'Develop a tactical plan for a rapid deployment scenario. Include resource allocation, movement strategies, and contingency measures.';
-        break;
-      case 'THREAT':
-        prompt = 'Assess the current threat level in the operational zone. Identify potential hostile elements and recommend immediate countermeasures.';
-        break;
-      default:
-        return;
+  const handleCommand = (command) => {
+    const { type, prompt, text, missionType: commandType } = command;
+    if (type === 'insert') {
+      const textarea = textareaRef.current;
+      const start = textarea?.selectionStart ?? Infinity;
+      const end = textarea?.selectionEnd ?? Infinity;
+      missionDrafts.updateActiveTab((current) => ({
+        prompt: `${current.prompt.slice(0, start)}${text}${current.prompt.slice(end)}`,
+      }));
+      return;
+    }
+    if (pipelineRunning) {
+      setDeferredCommand(command);
+      return;
     }
-    setMissionInput(prompt);
-    // Optionally, execute immediately
-    // handleMissionExecute();
+    setMode('SINGLE');
+    missionDrafts.updateActiveTab({ prompt, missionType: commandType });
+    if (type === 'execute') handleMissionExecute(prompt, commandType);
+  };
+
+  // Keep the command listener pointed at the latest closure.
+  const commandRef = useRef(handleCommand);
+  useEffect(() => {
+    commandRef.current = handleCommand;
+  });
+
+  useEffect(() => onMissionCommand((command) => commandRef.current(command)), []);
+
+  useEffect(() => {
+    if (pipelineRunning || !deferredCommand) return;
+    setDeferredCommand(null);
+    commandRef.current(deferredCommand);
+  }, [pipelineRunning, deferredCommand]);
+
+  // Missions attached to an operation start at the operation's marking.
+  const handleOperationChange = (id) => {
+    const operation = operations.find((op) => op.id === id);
+    updateDraft({ operationId: id, classification: operation?.classification || null });
+  };
+
+  const handleMissionStop = () => {
+    abortRef.current?.abort();
   };
 
   return (
@@ -64,79 +176,176 @@ const MissionInterface = () => {
         <span className="mr-2">MISSION COMMAND INTERFACE</span>
         <span className="text-xs text-gray-400 ml-auto">AI-POWERED</span>
       </h2>
-      <textarea
-        className="mission-textarea w-full p-4 rounded-md mb-4 h-40"
-        placeholder="Enter mission parameters, tactical requirements, or intelligence requests..."
-        value={missionInput}
-        onChange={(e) => setMissionInput(e.target.value)}
-        disabled={isLoading}
-      ></textarea>
-      <button
-        className={`execute-button w-full p-3 rounded-md flex items-center justify-center ${isLoading ? 'processing' : ''}`}
-        onClick={handleMissionExecute}
-        disabled={isLoading}
-      >
-        {isLoading ? (
-          <><Loader className="animate-spin mr-2" size={20} /> PROCESSING...</>
-        ) : (
-          <><Send className="mr-2" size={20} /> EXECUTE MISSION</>
-        )}
-      </button>
-
-      <div className="flex justify-between mt-4 space-x-2">
-        <button
-          className="quick-action-button intel flex-1 p-3 rounded-md flex items-center justify-center"
-          onClick={() => handleQuickAction('INTEL')}
-          disabled={isLoading}
-        >
-          INTEL
-        </button>
-        <button
-          className="quick-action-button tactical flex-1 p-3 rounded-md flex items-center justify-center"
-          onClick={() => handleQuickAction('TACTICAL')}
+      <div className="flex space-x-2 mb-4">
+        {['SINGLE', 'PIPELINE'].map((value) => (
+          <button
+            key={value}
+            className={`quick-action-button flex-1 p-2 rounded text-xs ${mode === value ? 'active' : ''}`}
+            onClick={() => setMode(value)}
+            disabled={isLoading || pipelineRunning}
+          >
+            {value === 'SINGLE' ? 'SINGLE MISSION' : 'AGENT PIPELINE'}
+          </button>
+        ))}
+      </div>
+      <Tabs value={tab.id} onValueChange={missionDrafts.setActiveTab} className="gap-0">
+      <MissionDraftTabs disabled={isLoading} />
+      {saveError && <p className="text-xs text-red-400 mb-4">{saveError}</p>}
+      <TabsContent value={tab.id}>
+      <div className="flex space-x-2 mb-4">
+        <select
+          className="mission-textarea flex-1 p-2 rounded-md text-sm"
+          value={operationId}
+          onChange={(e) => handleOperationChange(e.target.value)}
           disabled={isLoading}
         >
-          TACTICAL
-        </button>
-        <button
-          className="quick-action-button threat flex-1 p-3 rounded-md flex items-center justify-center"
-          onClick={() => handleQuickAction('THREAT')}
+          <option value="">No operation attached</option>
+          {operations.filter((op) => !isTerminal(op.status)).map((op) => (
+            <option key={op.id} value={op.id}>{op.id} · {op.name}</option>
+          ))}
+        </select>
+        <select
+          className="mission-textarea p-2 rounded-md text-sm"
+          value={classification}
+          onChange={(e) => updateDraft({ classification: e.target.value })}
           disabled={isLoading}
+          aria-label="Classification"
         >
-          THREAT
-        </button>
+          {classificationConfig.levels.map((level) => (
+            <option key={level.id} value={level.id}>{level.id}</option>
+          ))}
+        </select>
       </div>
+      {!releasable && (
+        <p className="text-xs text-red-400 mb-4">
+          {classification} exceeds the {provider.label} maximum of {maxLevel}; missions will not be sent.
+        </p>
+      )}
+      {!canExecute && (
+        <p className="text-xs text-yellow-400 mb-4">
+          {deniedMessage(role, 'missions.execute')}. Sign in as an analyst or above to send missions.
+        </p>
+      )}
 
-      {missionResult && (
-        <div className="mission-result mt-6 p-4 rounded-md">
-          <h4 className="text-lg font-bold mb-2 flex items-center">
-            {missionResult.success ? (
-              <CheckCircle className="text-green-400 mr-2" size={24} />
-            ) : (
-              <XCircle className="text-red-400 mr-2" size={24} />
-            )}
-            MISSION ANALYSIS COMPLETE
-            {missionResult.success ? (
-              <span className="success-badge ml-auto">SUCCESS</span>
+      {thread.length > 0 && mode === 'SINGLE' && (
+        <div className="flex items-center justify-between text-xs text-gray-400 mb-2">
+          <span>THREAD · {thread.length} turn{thread.length === 1 ? '' : 's'} · follow-ups include earlier answers</span>
+          <button
+            className="underline flex items-center"
+            onClick={() => missionDrafts.clearThread(tab.id)}
+            disabled={isLoading}
+          >
+            <MessageSquarePlus className="w-3 h-3 mr-1" /> new thread
+          </button>
+        </div>
+      )}
+
+      {mode === 'PIPELINE' ? (
+        <>
+          {deferredCommand && (
+            <p className="text-xs text-yellow-400 mb-2">Mission command queued until the pipeline finishes.</p>
+          )}
+          <PipelineBuilder operationId={operationId} classification={classification} onRunningChange={setPipelineRunning} />
+        </>
+      ) : (
+        <>
+        <textarea
+          ref={textareaRef}
+          className={`mission-textarea w-full p-4 rounded-md mb-2 h-40 ${dragging ? 'drop-target' : ''}`}
+          placeholder={thread.length
+            ? 'Ask a follow-up, e.g. "expand on contingency 2"...'
+            : 'Enter mission parameters, tactical requirements, or intelligence requests...'}
+          value={missionInput}
+          onChange={(e) => updateDraft({
+            prompt: e.target.value,
+            ...(e.target.value.trim() ? {} : { missionType: null }),
+          })}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={handleDrop}
+          disabled={isLoading}
+        ></textarea>
+        <MissionAttachments
+          attachments={attachments}
+          errors={attachmentErrors}
+          onAdd={addAttachments}
+          onRemove={(id) => setTabAttachments(tab.id, (current) => ({ ...current, items: current.items.filter((item) => item.id !== id) }))}
+          onDismissErrors={() => setTabAttachments(tab.id, (current) => ({ ...current, errors: [] }))}
+          disabled={isLoading}
+        />
+        <select
+          className="mission-textarea w-full p-2 rounded-md mb-2 text-sm"
+          value={agentChoice}
+          onChange={(e) => updateDraft({ agentChoice: e.target.value })}
+          disabled={isLoading}
+        >
+          <option value={AUTO_AGENT}>Auto-route by capability</option>
+          {agents.map((agent) => (
+            <option key={agent.id} value={agent.id}>{agent.id} · {agent.name} ({agent.status})</option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-400 mb-4">
+          {agentChoice !== AUTO_AGENT
+            ? `Routing to ${agentChoice}`
+            : suggestion
+              ? <>Routing to <span className="text-green-400">{suggestion.agent.id}</span> · matched {suggestion.matchedTags.join(', ')}</>
+              : 'No capability match yet; mission goes to the default endpoint'}
+          {agentChoice === AUTO_AGENT && suggestion && (
+            <button className="ml-2 underline" onClick={() => updateDraft({ agentChoice: suggestion.agent.id })} disabled={isLoading}>
+              pin
+            </button>
+          )}
+        </p>
+        <div className="flex space-x-2">
+          <button
+            className={`execute-button flex-1 p-3 rounded-md flex items-center justify-center ${isLoading ? 'processing' : ''}`}
+            onClick={() => handleMissionExecute()}
+            disabled={isLoading || !releasable || !canExecute}
+          >
+            {isLoading ? (
+              <><Loader className="animate-spin mr-2" size={20} /> PROCESSING...</>
             ) : (
-              <span className="error-badge ml-auto">FAILED</span>
+              <><Send className="mr-2" size={20} /> {thread.length ? 'SEND FOLLOW-UP' : 'EXECUTE MISSION'}</>
             )}
-          </h4>
-          <p className="text-gray-300 text-sm mb-2">{missionResult.message}</p>
-          {missionResult.analysis && (
-            <div className="bg-gray-900 p-3 rounded-md text-xs font-mono whitespace-pre-wrap">
-              {missionResult.analysis}
-            </div>
+          </button>
+          {isLoading && (
+            <button
+              className="stop-button p-3 rounded-md flex items-center justify-center"
+              onClick={handleMissionStop}
+            >
+              <Square className="mr-2" size={16} /> STOP
+            </button>
           )}
         </div>
-      )}
 
-      {isLoading && (
-        <div className="ai-processing mt-6">
-          <div className="spinner"></div>
-          <p className="text-gray-400">Gemini Flash 2.5 analyzing mission parameters...</p>
+        <div className="flex justify-between mt-4 space-x-2">
+          {pinnedActions.map((action) => (
+            <button
+              key={action.id}
+              className={`quick-action-button ${action.tone} flex-1 p-3 rounded-md flex items-center justify-center`}
+              onClick={() => quickActions.run(action.id)}
+              disabled={isLoading}
+            >
+              {action.shortLabel || action.label}
+            </button>
+          ))}
         </div>
+
+        <MissionQueue />
+
+        <MissionThread
+          turns={thread}
+          pending={pending?.tabId === tab.id ? pending : null}
+          loadingLabel={`${modelLabel(model)} analyzing mission parameters...`}
+          onFork={(turnId) => missionDrafts.forkTurn(tab.id, turnId)}
+        />
+        </>
       )}
+      </TabsContent>
+      </Tabs>
     </div>
   );
 };
@@ -0,0 +1,67 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowDown, ArrowUp, RefreshCw, WifiOff, X } from 'lucide-react';
+import { useMissionQueue } from '../hooks/use-mission-queue';
+import { missionQueue } from '../lib/mission-queue';
+
+const countdown = (ms) => (ms <= 0 ? 'now' : `in ${Math.ceil(ms / 1000)}s`);
+
+/** Missions waiting for the backend; hidden while the queue is empty and the link is up. */
+const MissionQueue = () => {
+  const { entries, online } = useMissionQueue();
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (entries.length === 0) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [entries.length]);
+
+  if (entries.length === 0 && online) return null;
+
+  return (
+    <div className="mission-queue mt-4 p-3 rounded-md">
+      <h4 className="text-sm font-bold text-yellow-400 mb-2 flex items-center">
+        {!online && <WifiOff className="w-4 h-4 mr-2" />}
+        {online ? 'OUTBOX' : 'OFFLINE · OUTBOX'}
+        <span className="ml-auto text-xs text-gray-400">{entries.length} queued</span>
+      </h4>
+      <ul className="space-y-2">
+        {entries.map((entry, index) => (
+          <li key={entry.id} className="text-xs flex items-start space-x-2">
+            <div className="flex-1 min-w-0">
+              <div className="text-white truncate">{entry.mission.prompt}</div>
+              <div className="text-gray-400">
+                {entry.status === 'SENDING'
+                  ? 'Sending…'
+                  : `Attempt ${entry.attempts} failed · retry ${online ? countdown(entry.nextAttemptAt - now) : 'when back online'}`}
+              </div>
+              {entry.lastError && <div className="text-red-400 truncate">{entry.lastError}</div>}
+            </div>
+            <button onClick={() => missionQueue.move(entry.id, -1)} disabled={index === 0} aria-label="Move up">
+              <ArrowUp className="w-3 h-3" />
+            </button>
+            <button
+              onClick={() => missionQueue.move(entry.id, 1)}
+              disabled={index === entries.length - 1}
+              aria-label="Move down"
+            >
+              <ArrowDown className="w-3 h-3" />
+            </button>
+            <button
+              onClick={() => missionQueue.retryNow(entry.id)}
+              disabled={entry.status === 'SENDING' || !online}
+              aria-label="Retry now"
+            >
+              <RefreshCw className="w-3 h-3" />
+            </button>
+            <button className="text-red-400" onClick={() => missionQueue.cancel(entry.id)} aria-label="Cancel">
+              <X className="w-3 h-3" />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default MissionQueue;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { ClipboardCopy, Play } from 'lucide-react';
+import { Accordion, AccordionContent, AccordionItem, AccordionTrigger } from '@/components/ui/accordion';
+import { Badge } from '@/components/ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { executeMission, prefillMission } from '../lib/mission-commands';
+import { usePermission } from '../hooks/use-auth';
+
+const confidenceTone = (confidence) => {
+  if (confidence === null) return 'unknown';
+  if (confidence >= 75) return 'high';
+  if (confidence >= 50) return 'medium';
+  return 'low';
+};
+
+const RawAnalysis = ({ analysis }) => (
+  <div className="bg-gray-900 p-3 rounded-md text-xs font-mono whitespace-pre-wrap">{analysis}</div>
+);
+
+/**
+ * Structured view of a mission analysis. Falls back to the raw text when no
+ * report could be parsed; otherwise offers a toggle between the two.
+ */
+const MissionReport = ({ report, analysis }) => {
+  const [showRaw, setShowRaw] = useState(false);
+  const canExecute = usePermission('missions.execute');
+
+  if (!report) return analysis ? <RawAnalysis analysis={analysis} /> : null;
+
+  const { summary, keyFindings, risks, recommendedActions, confidence } = report;
+
+  return (
+    <div className="mission-report">
+      <div className="flex items-center justify-between mb-2">
+        <Badge className={`confidence-badge confidence-${confidenceTone(confidence)}`}>
+          CONFIDENCE {confidence === null ? '—' : `${confidence}%`}
+        </Badge>
+        <button className="text-xs text-gray-400 hover:text-green-400" onClick={() => setShowRaw((raw) => !raw)}>
+          {showRaw ? 'STRUCTURED VIEW' : 'RAW VIEW'}
+        </button>
+      </div>
+
+      {showRaw ? (
+        <RawAnalysis analysis={analysis} />
+      ) : (
+        <Accordion type="multiple" defaultValue={['summary', 'risks', 'actions']}>
+          <AccordionItem value="summary">
+            <AccordionTrigger className="py-2 text-green-400">SUMMARY</AccordionTrigger>
+            <AccordionContent className="text-gray-300">{summary}</AccordionContent>
+          </AccordionItem>
+
+          {keyFindings.length > 0 && (
+            <AccordionItem value="findings">
+              <AccordionTrigger className="py-2 text-green-400">KEY FINDINGS ({keyFindings.length})</AccordionTrigger>
+              <AccordionContent>
+                <ul className="list-disc pl-5 space-y-1 text-gray-300">
+                  {keyFindings.map((finding, index) => <li key={index}>{finding}</li>)}
+                </ul>
+              </AccordionContent>
+            </AccordionItem>
+          )}
+
+          {risks.length > 0 && (
+            <AccordionItem value="risks">
+              <AccordionTrigger className="py-2 text-green-400">RISKS ({risks.length})</AccordionTrigger>
+              <AccordionContent>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="w-24 text-gray-400">SEVERITY</TableHead>
+                      <TableHead className="text-gray-400">RISK</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {risks.map((risk, index) => (
+                      <TableRow key={index}>
+                        <TableCell>
+                          <Badge className={`severity-badge severity-${risk.severity.toLowerCase()}`}>{risk.severity}</Badge>
+                        </TableCell>
+                        <TableCell className="whitespace-normal text-gray-300">{risk.description}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </AccordionContent>
+            </AccordionItem>
+          )}
+
+          {recommendedActions.length > 0 && (
+            <AccordionItem value="actions">
+              <AccordionTrigger className="py-2 text-green-400">
+                RECOMMENDED ACTIONS ({recommendedActions.length})
+              </AccordionTrigger>
+              <AccordionContent>
+                <ul className="space-y-2">
+                  {recommendedActions.map((item, index) => (
+                    <li key={index} className="flex items-start justify-between gap-2 text-gray-300">
+                      <span className="flex-1">
+                        {item.priority && (
+                          <Badge className={`severity-badge severity-${item.priority.toLowerCase()} mr-2`}>
+                            {item.priority}
+                          </Badge>
+                        )}
+                        {item.action}
+                      </span>
+                      <span className="flex space-x-1 shrink-0">
+                        <button
+                          className="quick-action-button p-1 rounded text-xs flex items-center"
+                          onClick={() => prefillMission(item.action)}
+                          title="Copy to mission input"
+                        >
+                          <ClipboardCopy className="w-3 h-3" />
+                        </button>
+                        {canExecute && (
+                          <button
+                            className="quick-action-button p-1 rounded text-xs flex items-center"
+                            onClick={() => executeMission(item.action)}
+                            title="Run as a follow-up mission"
+                          >
+                            <Play className="w-3 h-3" />
+                          </button>
+                        )}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </AccordionContent>
+            </AccordionItem>
+          )}
+        </Accordion>
+      )}
+    </div>
+  );
+};
+
+export default MissionReport;
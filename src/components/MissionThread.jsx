@@ -0,0 +1,107 @@
+import React from 'react';
+import { format } from 'date-fns';
+import { CheckCircle, GitBranch, Paperclip, XCircle } from 'lucide-react';
+import { exportMission } from '../lib/report-export';
+import { useMissionHistory } from '../hooks/use-mission-history';
+import { formatBytes } from '../lib/attachments';
+import MissionReport from './MissionReport';
+import ExportMenu from './ExportMenu';
+
+const RESULT_TITLES = {
+  SUCCESS: 'MISSION ANALYSIS COMPLETE',
+  QUEUED: 'MISSION QUEUED',
+  BLOCKED: 'MISSION BLOCKED',
+  ABORTED: 'MISSION ANALYSIS STOPPED',
+  FAILED: 'MISSION ANALYSIS FAILED',
+};
+
+const OperatorTurn = ({ prompt, attachments = [], label }) => (
+  <div className="thread-turn operator">
+    <span className="text-xs text-gray-400 block mb-1">{label}</span>
+    <p className="text-sm text-white whitespace-pre-wrap">{prompt}</p>
+    {attachments.length > 0 && (
+      <p className="text-xs text-gray-400 mt-1 flex items-center flex-wrap gap-x-2">
+        <Paperclip className="w-3 h-3" />
+        {attachments.map(({ name, size }) => <span key={name}>{name} ({formatBytes(size)})</span>)}
+      </p>
+    )}
+  </div>
+);
+
+const AnalystTurn = ({ turn, record, followUp, onFork, forkDisabled }) => {
+  const success = turn.status === 'SUCCESS';
+
+  return (
+    <div className="mission-result thread-turn analyst p-4 rounded-md">
+      <h4 className="text-lg font-bold mb-2 flex items-center">
+        {success ? <CheckCircle className="text-green-400 mr-2" size={24} /> : <XCircle className="text-red-400 mr-2" size={24} />}
+        {followUp && success ? 'FOLLOW-UP ANSWERED' : RESULT_TITLES[turn.status]}
+        <span className={`${success ? 'success-badge' : 'error-badge'} ml-auto`}>{turn.status}</span>
+      </h4>
+      <div className="flex items-start justify-between mb-2 space-x-2">
+        <p className="text-gray-300 text-sm">{turn.message}</p>
+        <div className="flex items-center space-x-1 shrink-0">
+          <button
+            className="quick-action-button px-2 py-1 rounded text-xs flex items-center"
+            onClick={() => onFork(turn.id)}
+            disabled={forkDisabled}
+            title="Continue this thread from here in a new mission tab"
+          >
+            <GitBranch className="w-3 h-3 mr-1" /> FORK
+          </button>
+          {record && <ExportMenu build={(formatId) => exportMission(record, formatId)} />}
+        </div>
+      </div>
+      <MissionReport report={turn.report} analysis={turn.analysis} />
+    </div>
+  );
+};
+
+/**
+ * Chat transcript of a mission thread: each operator tasking followed by the
+ * analysis it produced. `pending` is the turn in flight, shown while it streams.
+ */
+const MissionThread = ({ turns, pending, loadingLabel, onFork }) => {
+  const history = useMissionHistory();
+  if (turns.length === 0 && !pending) return null;
+
+  return (
+    <div className="mission-thread mt-6 space-y-3">
+      {turns.map((turn, index) => (
+        <React.Fragment key={turn.id}>
+          <OperatorTurn
+            prompt={turn.prompt}
+            attachments={turn.attachments}
+            label={`${index === 0 ? 'TASKING' : `FOLLOW-UP ${index}`} · ${format(new Date(turn.createdAt), 'HH:mm:ss')}`}
+          />
+          <AnalystTurn
+            turn={turn}
+            record={turn.recordId && history.find((record) => record.id === turn.recordId)}
+            followUp={index > 0}
+            onFork={onFork}
+            forkDisabled={Boolean(pending)}
+          />
+        </React.Fragment>
+      ))}
+
+      {pending && (
+        <>
+          <OperatorTurn prompt={pending.prompt} attachments={pending.attachments} label={turns.length === 0 ? 'TASKING' : `FOLLOW-UP ${turns.length}`} />
+          <div className="mission-result thread-turn analyst p-4 rounded-md">
+            <div className="ai-processing">
+              <div className="spinner"></div>
+              <p className="text-gray-400">{loadingLabel}</p>
+            </div>
+            {pending.analysis && (
+              <div className="bg-gray-900 p-3 mt-3 rounded-md text-xs font-mono whitespace-pre-wrap streaming-cursor">
+                {pending.analysis}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MissionThread;
@@ -0,0 +1,112 @@
+import React, { useMemo, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { format } from 'date-fns';
+import { ClipboardCopy, History, RotateCcw } from 'lucide-react';
+import { Input } from '@/components/ui/input';
+import { useMissionHistory } from '../hooks/use-mission-history';
+import { usePermission } from '../hooks/use-auth';
+import { searchMissions } from '../lib/mission-history';
+import { executeMission, prefillMission } from '../lib/mission-commands';
+import { exportMission } from '../lib/report-export';
+import { formatBytes } from '../lib/attachments';
+import MissionInterface from './MissionInterface';
+import MissionReport from './MissionReport';
+import ExportMenu from './ExportMenu';
+import { ClassificationMark } from './ClassificationBanner';
+
+const MISSION_LIST_LIMIT = 50;
+
+const MissionDetail = ({ mission }) => {
+  const canExecute = usePermission('missions.execute');
+  return (
+    <section className="status-panel p-4">
+      <div className="flex items-start justify-between mb-2">
+        <span className={`operation-status ${mission.status === 'SUCCESS' ? 'completed' : 'critical'} text-xs`}>{mission.status}</span>
+        <ClassificationMark level={mission.classification} />
+      </div>
+      <p className="text-sm text-white whitespace-pre-wrap mb-2">{mission.prompt}</p>
+      <p className="text-xs text-gray-400 mb-2">
+        {format(new Date(mission.startedAt), 'yyyy-MM-dd HH:mm:ss')} · {mission.agentId || 'default endpoint'}
+        {mission.reassignments?.map(({ to }) => ` → ${to}`)}
+        {mission.operationId && <> · <Link className="underline" to={`/operations/${mission.operationId}`}>{mission.operationId}</Link></>}
+        {mission.durationMs != null && ` · ${(mission.durationMs / 1000).toFixed(1)}s`}
+      </p>
+      {mission.attachments?.length > 0 && (
+        <p className="text-xs text-gray-400 mb-2">
+          Attachments: {mission.attachments.map(({ name, size }) => `${name} (${formatBytes(size)})`).join(', ')}
+        </p>
+      )}
+      {mission.message && <p className="text-xs text-gray-300 mb-2">{mission.message}</p>}
+      <div className="flex space-x-1 mb-3">
+        <button
+          className="quick-action-button flex-1 p-1 rounded text-xs flex items-center justify-center"
+          onClick={() => executeMission(mission.prompt, { missionType: mission.missionType })}
+          disabled={!canExecute}
+        >
+          <RotateCcw className="w-3 h-3 mr-1" /> RE-RUN
+        </button>
+        <button
+          className="quick-action-button flex-1 p-1 rounded text-xs flex items-center justify-center"
+          onClick={() => prefillMission(mission.prompt, { missionType: mission.missionType })}
+        >
+          <ClipboardCopy className="w-3 h-3 mr-1" /> TO INPUT
+        </button>
+        <ExportMenu build={(formatId) => exportMission(mission, formatId)} />
+      </div>
+      <MissionReport report={mission.report} analysis={mission.response} />
+    </section>
+  );
+};
+
+/** `/missions`: the mission interface beside the log; `/missions/:missionId` opens one mission. */
+const MissionsPage = () => {
+  const { missionId } = useParams();
+  const missions = useMissionHistory();
+  const [query, setQuery] = useState('');
+  const selected = missions.find((mission) => mission.id === missionId);
+  const filtered = useMemo(() => searchMissions(missions, query).slice(0, MISSION_LIST_LIMIT), [missions, query]);
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="lg:col-span-2">
+        <MissionInterface />
+      </div>
+      <div className="space-y-6">
+        {missionId && (selected
+          ? <MissionDetail mission={selected} />
+          : <p className="status-panel p-4 text-xs text-gray-400">Mission {missionId} is not in the local log.</p>)}
+        <section className="status-panel p-4">
+          <h3 className="flex items-center mb-3">
+            <History className="w-5 h-5 mr-2" /> MISSIONS
+            <span className="ml-auto text-xs text-gray-400">{missions.length} logged</span>
+          </h3>
+          <Input
+            className="mission-textarea h-8 text-xs mb-2"
+            placeholder="Search prompts and analyses..."
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <ul className="space-y-1 text-xs max-h-[32rem] overflow-y-auto">
+            {filtered.map((mission) => (
+              <li key={mission.id}>
+                <Link
+                  to={`/missions/${mission.id}`}
+                  className={`operation-item block p-2 ${mission.id === missionId ? 'active' : ''}`}
+                >
+                  <span className="flex justify-between text-gray-400">
+                    <span>{format(new Date(mission.startedAt), 'MM-dd HH:mm')}</span>
+                    <span>{mission.status}</span>
+                  </span>
+                  <span className="block text-white truncate">{mission.prompt}</span>
+                </Link>
+              </li>
+            ))}
+            {filtered.length === 0 && <li className="text-gray-500">No missions match.</li>}
+          </ul>
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default MissionsPage;
@@ -0,0 +1,71 @@
+import React from 'react';
+import { NavLink, useLocation } from 'react-router-dom';
+import { Activity, LayoutDashboard, Send, Settings, Users } from 'lucide-react';
+import {
+  Sidebar,
+  SidebarContent,
+  SidebarGroup,
+  SidebarGroupContent,
+  SidebarMenu,
+  SidebarMenuButton,
+  SidebarMenuItem,
+} from '@/components/ui/sidebar';
+import { NAV_ITEMS, isActivePath } from '../lib/navigation';
+
+const NAV_ICONS = {
+  '/': LayoutDashboard,
+  '/missions': Send,
+  '/operations': Activity,
+  '/agents': Users,
+  '/settings': Settings,
+};
+
+const NavItem = ({ item }) => {
+  const { pathname } = useLocation();
+  const Icon = NAV_ICONS[item.path];
+  return (
+    <SidebarMenuItem>
+      <SidebarMenuButton asChild isActive={isActivePath(item.path, pathname)} className="nav-item">
+        <NavLink to={item.path}>
+          <Icon />
+          <span>{item.label.toUpperCase()}</span>
+        </NavLink>
+      </SidebarMenuButton>
+    </SidebarMenuItem>
+  );
+};
+
+/**
+ * Page navigation. Always shown on desktop (the collapsible sidebar slot
+ * belongs to the mission log); small screens get `MobileNav` in the header.
+ */
+const NavSidebar = () => (
+  <Sidebar collapsible="none" className="nav-sidebar hidden md:flex sticky top-0 h-svh w-44 shrink-0">
+    <SidebarContent>
+      <SidebarGroup>
+        <SidebarGroupContent>
+          <SidebarMenu>
+            {NAV_ITEMS.map((item) => <NavItem key={item.path} item={item} />)}
+          </SidebarMenu>
+        </SidebarGroupContent>
+      </SidebarGroup>
+    </SidebarContent>
+  </Sidebar>
+);
+
+export const MobileNav = () => (
+  <nav className="flex md:hidden space-x-1 mt-3 overflow-x-auto">
+    {NAV_ITEMS.map((item) => (
+      <NavLink
+        key={item.path}
+        to={item.path}
+        end={item.path === '/'}
+        className={({ isActive }) => `quick-action-button px-2 py-1 rounded text-xs ${isActive ? 'active' : ''}`}
+      >
+        {item.label.toUpperCase()}
+      </NavLink>
+    ))}
+  </nav>
+);
+
+export default NavSidebar;
@@ -0,0 +1,312 @@
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { format } from 'date-fns';
+import { ClipboardList, NotebookPen, Plus, Send, Trash2, UserPlus, Users, X } from 'lucide-react';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { useOperations } from '../hooks/use-operations';
+import { useAgentRegistry } from '../hooks/use-agent-registry';
+import { useMissionHistory } from '../hooks/use-mission-history';
+import { operationsStore } from '../lib/operations-store';
+import { OPERATION_TRANSITIONS, computeProgress, isTerminal } from '../lib/operations';
+import { can, transitionPermission } from '../lib/permissions';
+import { usePermission, useRole } from '../hooks/use-auth';
+import { operationAgents, operationTimeline } from '../lib/operation-timeline';
+import { exportOperation } from '../lib/report-export';
+import { missionDrafts } from '../lib/mission-drafts';
+import ExportMenu from './ExportMenu';
+import Markdown from './Markdown';
+import { ClassificationMark } from './ClassificationBanner';
+
+// Every edit goes through the API; failures show up on the store's error line.
+const save = (request) => request.catch(() => {});
+
+const TaskChecklist = ({ operation }) => {
+  const [title, setTitle] = useState('');
+  const canEdit = usePermission('operations.edit');
+  const tasks = operation.tasks || [];
+  const done = tasks.filter((task) => task.done).length;
+
+  const addTask = () => {
+    if (!title.trim()) return;
+    save(operationsStore.addTask(operation.id, title.trim()));
+    setTitle('');
+  };
+
+  return (
+    <section className="status-panel p-4">
+      <h3 className="flex items-center mb-3">
+        <ClipboardList className="w-5 h-5 mr-2" /> TASKS
+        <span className="ml-auto text-xs text-gray-400">{done} of {tasks.length} done</span>
+      </h3>
+      {tasks.length === 0 && <p className="text-xs text-gray-500 mb-2">No tasks yet; progress follows the checklist.</p>}
+      <ul className="space-y-1">
+        {tasks.map((task) => (
+          <li key={task.id} className="flex items-center space-x-2">
+            <Checkbox
+              checked={task.done}
+              disabled={!canEdit}
+              onCheckedChange={(checked) => save(operationsStore.setTaskDone(operation.id, task.id, checked === true))}
+              aria-label={task.title}
+            />
+            <span className={`flex-1 text-sm ${task.done ? 'line-through text-gray-500' : 'text-white'}`}>{task.title}</span>
+            {canEdit && (
+              <button
+                className="text-gray-500 hover:text-red-400"
+                onClick={() => save(operationsStore.removeTask(operation.id, task.id))}
+                aria-label={`Remove ${task.title}`}
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {canEdit && (
+        <div className="flex space-x-2 mt-3">
+          <Input
+            className="mission-textarea h-8 text-xs"
+            placeholder="Add task"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && addTask()}
+          />
+          <button className="quick-action-button px-2 rounded" onClick={addTask} aria-label="Add task">
+            <Plus className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+const OperationNotes = ({ operation }) => {
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const canEdit = usePermission('operations.edit');
+  const editing = draft !== null;
+
+  // The editor only closes once the notes are saved; a failure keeps what was typed.
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await operationsStore.update(operation.id, { notes: draft });
+      setDraft(null);
+      setError(null);
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+    setSaving(false);
+  };
+
+  const handleCancel = () => {
+    setDraft(null);
+    setError(null);
+  };
+
+  return (
+    <section className="status-panel p-4">
+      <h3 className="flex items-center mb-3">
+        <NotebookPen className="w-5 h-5 mr-2" /> NOTES
+        {!editing && canEdit && (
+          <button className="quick-action-button ml-auto px-2 py-1 rounded text-xs" onClick={() => setDraft(operation.notes || '')}>
+            EDIT
+          </button>
+        )}
+      </h3>
+      {editing ? (
+        <>
+          <Textarea
+            className="mission-textarea h-48 text-xs"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Markdown: # headings, - lists, **bold**, `code`, [links](https://...)"
+            autoFocus
+          />
+          {error && <p className="text-xs text-red-400 mt-2">{error}</p>}
+          <div className="flex justify-end space-x-2 mt-2">
+            <button className="quick-action-button px-3 py-1 rounded text-xs" onClick={handleCancel}>CANCEL</button>
+            <button className="execute-button px-3 py-1 rounded text-xs" onClick={handleSave} disabled={saving}>SAVE NOTES</button>
+          </div>
+        </>
+      ) : operation.notes ? (
+        <Markdown source={operation.notes} className="text-sm text-gray-300" />
+      ) : (
+        <p className="text-xs text-gray-500">No notes yet.</p>
+      )}
+    </section>
+  );
+};
+
+const AssignedAgents = ({ operation, history }) => {
+  const { agents } = useAgentRegistry();
+  const [agentId, setAgentId] = useState('');
+  const canEdit = usePermission('operations.edit');
+  const { assigned, contributed } = operationAgents(operation, history);
+  const available = agents.filter((agent) => !assigned.includes(agent.id));
+  const statusOf = (id) => agents.find((agent) => agent.id === id)?.status ?? 'RETIRED';
+
+  const assign = () => {
+    if (!agentId) return;
+    save(operationsStore.assignAgent(operation.id, agentId));
+    setAgentId('');
+  };
+
+  return (
+    <section className="status-panel p-4">
+      <h3 className="flex items-center mb-3">
+        <Users className="w-5 h-5 mr-2" /> ASSIGNED AGENTS
+      </h3>
+      <ul className="space-y-1 text-sm">
+        {assigned.map((id) => (
+          <li key={id} className="flex items-center justify-between">
+            <span className="text-white">{id}</span>
+            <span className="flex items-center space-x-2">
+              <span className={`operation-status ${statusOf(id).toLowerCase()} text-xs`}>{statusOf(id)}</span>
+              {canEdit && (
+                <button
+                  className="text-gray-500 hover:text-red-400"
+                  onClick={() => save(operationsStore.unassignAgent(operation.id, id))}
+                  aria-label={`Unassign ${id}`}
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              )}
+            </span>
+          </li>
+        ))}
+        {assigned.length === 0 && <li className="text-xs text-gray-500">No agents assigned.</li>}
+      </ul>
+      {contributed.length > 0 && (
+        <p className="text-xs text-gray-400 mt-2">Also ran missions: {contributed.join(', ')}</p>
+      )}
+      {canEdit && (
+        <div className="flex space-x-2 mt-3">
+          <select
+            className="mission-textarea flex-1 p-1 rounded text-xs"
+            value={agentId}
+            onChange={(e) => setAgentId(e.target.value)}
+            aria-label="Agent to assign"
+          >
+            <option value="">Assign agent…</option>
+            {available.map((agent) => <option key={agent.id} value={agent.id}>{agent.id} · {agent.name}</option>)}
+          </select>
+          <button className="quick-action-button px-2 rounded" onClick={assign} disabled={!agentId} aria-label="Assign agent">
+            <UserPlus className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+const Timeline = ({ items }) => (
+  <section className="status-panel p-4">
+    <h3 className="mb-3">TIMELINE</h3>
+    {items.length === 0 && <p className="text-xs text-gray-500">Nothing has happened yet.</p>}
+    <ol className="agent-timeline space-y-2 text-xs max-h-[32rem] overflow-y-auto">
+      {items.map((item, index) => (
+        <li key={`${item.at}-${index}`} className={`timeline-entry ${item.status?.toLowerCase() ?? item.kind}`}>
+          <div className="flex justify-between text-gray-400">
+            <span className="uppercase">{item.kind}</span>
+            <span>{format(new Date(item.at), 'yyyy-MM-dd HH:mm')}</span>
+          </div>
+          <p className="text-gray-200">
+            {item.missionId ? <Link className="hover:underline" to={`/missions/${item.missionId}`}>{item.label}</Link> : item.label}
+          </p>
+          {item.detail && <p className="text-gray-500 truncate" title={item.detail}>{item.detail}</p>}
+        </li>
+      ))}
+    </ol>
+  </section>
+);
+
+/** Full page for one operation at `/operations/:id`. */
+const OperationDetail = () => {
+  const { id } = useParams();
+  const { operations, loading, error } = useOperations();
+  const history = useMissionHistory();
+  const role = useRole();
+  const operation = operations.find((op) => op.id === id);
+
+  if (!operation) {
+    return (
+      <div className="status-panel p-6 text-sm">
+        <p className={loading ? 'text-gray-400' : 'text-red-400'}>
+          {loading ? 'Loading operation...' : error || `Operation ${id} not found`}
+        </p>
+      </div>
+    );
+  }
+
+  const progress = computeProgress(operation);
+  const tasks = operation.tasks || [];
+
+  return (
+    <div className="operation-detail space-y-6">
+      <div className="status-panel p-4">
+        <div className="flex items-start justify-between mb-2">
+          <div>
+            <h2 className="text-xl font-bold text-white">{operation.name}</h2>
+            <p className="text-xs text-gray-400">
+              {operation.id} · {operation.type} · created {format(new Date(operation.createdAt), 'yyyy-MM-dd HH:mm')}
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <ClassificationMark level={operation.classification} />
+            <span className={`operation-status ${operation.status.toLowerCase()}`}>{operation.status}</span>
+          </div>
+        </div>
+        {operation.description && <p className="text-sm text-gray-300 mb-3">{operation.description}</p>}
+        <div className="flex justify-between text-xs text-gray-400 mb-1">
+          <span>PROGRESS</span>
+          <span>{progress}% · {tasks.filter((task) => task.done).length}/{tasks.length} tasks</span>
+        </div>
+        <div className="progress-bar">
+          <div className="progress-fill" style={{ width: `${progress}%` }}></div>
+        </div>
+        {error && <p className="text-xs text-red-400 mt-2">{error}</p>}
+        <div className="flex space-x-1 mt-3">
+          {OPERATION_TRANSITIONS[operation.status].filter((status) => can(role, transitionPermission(status))).map((status) => (
+            <button
+              key={status}
+              className={`quick-action-button ${status === 'ABORTED' ? 'threat' : ''} flex-1 p-1 rounded text-xs`}
+              onClick={() => operationsStore.transition(operation.id, status).catch(() => {})}
+            >
+              {status === 'ABORTED' ? 'ABORT' : status}
+            </button>
+          ))}
+          {!isTerminal(operation.status) && (
+            <Link
+              to="/missions"
+              className="quick-action-button flex-1 p-1 rounded text-xs flex items-center justify-center"
+              onClick={() => missionDrafts.openTab({
+                name: `${operation.id} mission`,
+                operationId: operation.id,
+                classification: operation.classification || null,
+              })}
+            >
+              <Send className="w-3 h-3 mr-1" /> NEW MISSION
+            </Link>
+          )}
+          <ExportMenu label="EXPORT" build={(formatId) => exportOperation(operation, history, formatId)} />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="space-y-6">
+          <TaskChecklist operation={operation} />
+          <OperationNotes operation={operation} />
+        </div>
+        <div className="space-y-6">
+          <AssignedAgents operation={operation} history={history} />
+          <Timeline items={operationTimeline(operation, history)} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OperationDetail;
@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { Plus, Trash2 } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { Checkbox } from '@/components/ui/checkbox';
+import { OPERATION_TYPES } from '../lib/operations';
+import { operationsStore } from '../lib/operations-store';
+import { classificationStore } from '../lib/classification';
+import { useClassification } from '../hooks/use-classification';
+import { usePermission } from '../hooks/use-auth';
+
+const emptyDraft = () => ({
+  name: '',
+  type: OPERATION_TYPES[0],
+  classification: classificationStore.getSnapshot().defaultLevel,
+  description: '',
+  tasks: [],
+});
+
+const describeEntry = (entry) => {
+  switch (entry.action) {
+    case 'CREATED':
+      return `Created in ${entry.to}`;
+    case 'STATUS_CHANGED':
+      return `${entry.from} → ${entry.to}${entry.note ? ` (${entry.note})` : ''}`;
+    case 'MISSION_ATTACHED':
+      return 'Mission attached';
+    case 'TASK_COMPLETED':
+      return `Completed task ${entry.title}`;
+    case 'TASK_REOPENED':
+      return `Reopened task ${entry.title}`;
+    case 'UPDATED':
+      return `Updated ${entry.fields.join(', ')}`;
+    default:
+      return entry.action;
+  }
+};
+
+// Task edits go through the per-task routes, so ticks made elsewhere while the dialog
+// was open aren't reverted by a stale copy of the list.
+const saveTaskChanges = async (id, before, after) => {
+  const removed = before.filter((task) => !after.some((entry) => entry.id === task.id));
+  for (const task of removed) await operationsStore.removeTask(id, task.id);
+  for (const task of after) {
+    const previous = before.find((entry) => entry.id === task.id);
+    if (!previous) {
+      const updated = await operationsStore.addTask(id, task.title);
+      if (task.done) await operationsStore.setTaskDone(id, updated.tasks.at(-1).id, true);
+    } else if (previous.done !== task.done) {
+      await operationsStore.setTaskDone(id, task.id, task.done);
+    }
+  }
+};
+
+const OperationForm = ({ operation, onClose }) => {
+  const { levels, defaultLevel } = useClassification();
+  const canEdit = usePermission('operations.edit');
+  const [draft, setDraft] = useState(() =>
+    operation
+      ? {
+          name: operation.name,
+          type: operation.type,
+          classification: operation.classification || defaultLevel,
+          description: operation.description || '',
+          tasks: operation.tasks || [],
+        }
+      : emptyDraft()
+  );
+  const [initialTasks] = useState(() => operation?.tasks || []);
+  const [newTask, setNewTask] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const setField = (field, value) => setDraft((current) => ({ ...current, [field]: value }));
+
+  const updateTask = (id, patch) =>
+    setField('tasks', draft.tasks.map((task) => (task.id === id ? { ...task, ...patch } : task)));
+
+  const addTask = () => {
+    if (!newTask.trim()) return;
+    setField('tasks', [...draft.tasks, { id: crypto.randomUUID(), title: newTask.trim(), done: false }]);
+    setNewTask('');
+  };
+
+  const handleSave = async () => {
+    if (!draft.name.trim()) {
+      setError('Operation name is required');
+      return;
+    }
+    setSaving(true);
+    try {
+      if (operation) {
+        const { tasks, ...fields } = draft;
+        await operationsStore.update(operation.id, fields);
+        await saveTaskChanges(operation.id, initialTasks, tasks);
+      } else {
+        await operationsStore.create(draft);
+      }
+      onClose();
+    } catch (saveError) {
+      setError(saveError.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <DialogHeader>
+        <DialogTitle className="text-green-400">
+          {operation ? `EDIT ${operation.id}` : 'NEW OPERATION'}
+        </DialogTitle>
+        <DialogDescription className="text-gray-400">
+          {operation ? `Status: ${operation.status}` : 'New operations start in PLANNING.'}
+        </DialogDescription>
+      </DialogHeader>
+
+      <div className="space-y-3">
+        <Input
+          className="mission-textarea"
+          placeholder="Operation name"
+          value={draft.name}
+          onChange={(e) => setField('name', e.target.value)}
+        />
+        <div className="flex space-x-2">
+          <select
+            className="mission-textarea flex-1 p-2 rounded-md text-sm"
+            value={draft.type}
+            onChange={(e) => setField('type', e.target.value)}
+          >
+            {OPERATION_TYPES.map((type) => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          <select
+            className="mission-textarea flex-1 p-2 rounded-md text-sm"
+            value={draft.classification}
+            onChange={(e) => setField('classification', e.target.value)}
+            aria-label="Classification"
+          >
+            {levels.map((level) => (
+              <option key={level.id} value={level.id}>{level.id}</option>
+            ))}
+          </select>
+        </div>
+        <Textarea
+          className="mission-textarea"
+          placeholder="Objective and notes"
+          value={draft.description}
+          onChange={(e) => setField('description', e.target.value)}
+        />
+
+        <div>
+          <h4 className="text-xs text-gray-400 mb-2">TASKS</h4>
+          <div className="space-y-1 max-h-40 overflow-y-auto">
+            {draft.tasks.map((task) => (
+              <div key={task.id} className="flex items-center space-x-2">
+                <Checkbox
+                  checked={task.done}
+                  onCheckedChange={(checked) => updateTask(task.id, { done: checked === true })}
+                />
+                <span className={`flex-1 text-sm ${task.done ? 'line-through text-gray-500' : 'text-white'}`}>
+                  {task.title}
+                </span>
+                <button
+                  className="text-red-400"
+                  onClick={() => setField('tasks', draft.tasks.filter((t) => t.id !== task.id))}
+                  aria-label="Remove task"
+                >
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="flex space-x-2 mt-2">
+            <Input
+              className="mission-textarea"
+              placeholder="Add task"
+              value={newTask}
+              onChange={(e) => setNewTask(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && addTask()}
+            />
+            <button className="quick-action-button px-2 rounded" onClick={addTask} aria-label="Add task">
+              <Plus className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        {operation?.history?.length > 0 && (
+          <div>
+            <h4 className="text-xs text-gray-400 mb-2">AUDIT TRAIL</h4>
+            <ul className="space-y-1 max-h-32 overflow-y-auto text-xs font-mono">
+              {[...operation.history].reverse().map((entry, index) => (
+                <li key={index} className="flex justify-between">
+                  <span className="text-gray-300">{describeEntry(entry)}</span>
+                  <span className="text-gray-500 ml-2">{format(new Date(entry.at), 'MM-dd HH:mm')}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {error && <p className="text-xs text-red-400">{error}</p>}
+      </div>
+
+      <DialogFooter>
+        <button className="quick-action-button p-2 rounded text-xs" onClick={onClose}>
+          CANCEL
+        </button>
+        <button className="execute-button p-2 rounded text-xs" onClick={handleSave} disabled={saving || !canEdit}>
+          {operation ? 'SAVE CHANGES' : 'CREATE OPERATION'}
+        </button>
+      </DialogFooter>
+    </>
+  );
+};
+
+const OperationDialog = ({ open, operation, onOpenChange }) => (
+  <Dialog open={open} onOpenChange={onOpenChange}>
+    <DialogContent className="tactical-dialog">
+      {open && <OperationForm operation={operation} onClose={() => onOpenChange(false)} />}
+    </DialogContent>
+  </Dialog>
+);
+
+export default OperationDialog;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { format } from 'date-fns';
+import { Activity, Plus } from 'lucide-react';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { useOperations } from '../hooks/use-operations';
+import { usePermission } from '../hooks/use-auth';
+import { computeProgress, isTerminal } from '../lib/operations';
+import OperationDialog from './OperationDialog';
+import { ClassificationMark } from './ClassificationBanner';
+
+const FILTERS = ['OPEN', 'CLOSED', 'ALL'];
+
+const matchesFilter = (operation, filter) => {
+  if (filter === 'ALL') return true;
+  return isTerminal(operation.status) === (filter === 'CLOSED');
+};
+
+/** `/operations`: every operation, including closed ones the dashboard panel keeps at the bottom. */
+const OperationsPage = () => {
+  const { operations, loading, error } = useOperations();
+  const [filter, setFilter] = useState('OPEN');
+  const [creating, setCreating] = useState(false);
+  const canEdit = usePermission('operations.edit');
+  const navigate = useNavigate();
+  const shown = operations.filter((operation) => matchesFilter(operation, filter));
+
+  return (
+    <div className="status-panel p-4">
+      <h3 className="flex items-center mb-4">
+        <Activity className="w-5 h-5 mr-2" />
+        OPERATIONS
+        <span className="ml-auto flex space-x-1">
+          {FILTERS.map((id) => (
+            <button
+              key={id}
+              className={`quick-action-button px-2 py-1 rounded text-xs ${filter === id ? 'active' : ''}`}
+              onClick={() => setFilter(id)}
+            >
+              {id}
+            </button>
+          ))}
+          {canEdit && (
+            <button
+              className="quick-action-button px-2 py-1 rounded text-xs flex items-center"
+              onClick={() => setCreating(true)}
+            >
+              <Plus className="w-3 h-3 mr-1" /> NEW
+            </button>
+          )}
+        </span>
+      </h3>
+      {error && <p className="text-xs text-red-400 mb-2">{error}</p>}
+      {loading && operations.length === 0 && <p className="text-xs text-gray-400">Loading operations...</p>}
+      <Table className="text-xs">
+        <TableHeader>
+          <TableRow>
+            <TableHead>ID</TableHead>
+            <TableHead>NAME</TableHead>
+            <TableHead>TYPE</TableHead>
+            <TableHead>STATUS</TableHead>
+            <TableHead>PROGRESS</TableHead>
+            <TableHead>CREATED</TableHead>
+            <TableHead />
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {shown.map((operation) => (
+            <TableRow
+              key={operation.id}
+              className="cursor-pointer"
+              role="link"
+              tabIndex={0}
+              onClick={() => navigate(`/operations/${operation.id}`)}
+              onKeyDown={(e) => e.key === 'Enter' && navigate(`/operations/${operation.id}`)}
+            >
+              <TableCell className="text-gray-400">{operation.id}</TableCell>
+              <TableCell className="text-white">{operation.name}</TableCell>
+              <TableCell>{operation.type}</TableCell>
+              <TableCell>
+                <span className={`operation-status ${operation.status.toLowerCase()}`}>{operation.status}</span>
+              </TableCell>
+              <TableCell>{computeProgress(operation)}%</TableCell>
+              <TableCell className="text-gray-400">{format(new Date(operation.createdAt), 'yyyy-MM-dd HH:mm')}</TableCell>
+              <TableCell><ClassificationMark level={operation.classification} /></TableCell>
+            </TableRow>
+          ))}
+          {!loading && shown.length === 0 && (
+            <TableRow>
+              <TableCell colSpan={7} className="text-gray-500">No {filter.toLowerCase()} operations.</TableCell>
+            </TableRow>
+          )}
+        </TableBody>
+      </Table>
+      <OperationDialog open={creating} onOpenChange={setCreating} />
+    </div>
+  );
+};
+
+export default OperationsPage;
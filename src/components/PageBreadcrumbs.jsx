@@ -0,0 +1,71 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import {
+  Breadcrumb,
+  BreadcrumbItem,
+  BreadcrumbLink,
+  BreadcrumbList,
+  BreadcrumbPage,
+  BreadcrumbSeparator,
+} from '@/components/ui/breadcrumb';
+import { useOperations } from '../hooks/use-operations';
+import { useMissionHistory } from '../hooks/use-mission-history';
+import { NAV_ITEMS } from '../lib/navigation';
+
+const truncate = (text, length = 40) => (text.length > length ? `${text.slice(0, length)}…` : text);
+
+// Names for the `:id` segment of each section, falling back to the raw id.
+const useDetailLabel = (section, id) => {
+  const { operations } = useOperations();
+  const missions = useMissionHistory();
+  if (!id) return null;
+  if (section === 'operations') {
+    const operation = operations.find((op) => op.id === id);
+    return operation ? `${operation.id} · ${operation.name}` : id;
+  }
+  if (section === 'missions') {
+    const mission = missions.find((entry) => entry.id === id);
+    return mission ? truncate(mission.prompt.split('\n')[0]) : id.slice(0, 8);
+  }
+  return id;
+};
+
+/** COMMAND CENTER › SECTION › ITEM trail for the current route. */
+const PageBreadcrumbs = () => {
+  const { pathname } = useLocation();
+  const [section, id] = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  const page = NAV_ITEMS.find((item) => item.path === `/${section}`);
+  const detail = useDetailLabel(section, id);
+
+  const crumbs = [
+    { label: 'COMMAND CENTER', to: '/' },
+    ...(page ? [{ label: page.label.toUpperCase(), to: page.path }] : []),
+    ...(detail ? [{ label: detail }] : []),
+  ];
+
+  return (
+    <Breadcrumb className="page-breadcrumbs mb-4">
+      <BreadcrumbList>
+        {crumbs.map((crumb, index) => {
+          const last = index === crumbs.length - 1;
+          return (
+            <React.Fragment key={crumb.label}>
+              {index > 0 && <BreadcrumbSeparator />}
+              <BreadcrumbItem>
+                {last ? (
+                  <BreadcrumbPage className="text-green-400">{crumb.label}</BreadcrumbPage>
+                ) : (
+                  <BreadcrumbLink asChild>
+                    <Link to={crumb.to}>{crumb.label}</Link>
+                  </BreadcrumbLink>
+                )}
+              </BreadcrumbItem>
+            </React.Fragment>
+          );
+        })}
+      </BreadcrumbList>
+    </Breadcrumb>
+  );
+};
+
+export default PageBreadcrumbs;
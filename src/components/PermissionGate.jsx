@@ -0,0 +1,18 @@
+import React from 'react';
+import { useRole } from '../hooks/use-auth';
+import { can, deniedMessage } from '../lib/permissions';
+
+/** Leaves its controls visible but disabled, with a note, unless the current role has `permission`. */
+const PermissionGate = ({ permission, className = '', children }) => {
+  const role = useRole();
+  const allowed = can(role, permission);
+
+  return (
+    <fieldset disabled={!allowed} className={`min-w-0 ${className}`}>
+      {!allowed && <p className="text-xs text-yellow-400 mb-2">{deniedMessage(role, permission)}; read-only.</p>}
+      {children}
+    </fieldset>
+  );
+};
+
+export default PermissionGate;
@@ -0,0 +1,193 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ArrowDown, ArrowUp, Plus, Play, Square, Trash2, Loader } from 'lucide-react';
+import { useAgentRegistry } from '../hooks/use-agent-registry';
+import { usePermission } from '../hooks/use-auth';
+import { suggestAgent } from '../lib/dispatcher';
+import { runMission } from '../lib/mission-runner';
+import { DEFAULT_PIPELINE, buildPipelineReport, createStep, runPipeline } from '../lib/pipeline';
+
+const STATUS_CLASS = {
+  PENDING: '',
+  RUNNING: 'planning',
+  RETRYING: 'warning',
+  SUCCESS: 'completed',
+  FAILED: 'critical',
+  ABORTED: 'critical',
+  SKIPPED: 'aborted',
+};
+
+const PipelineBuilder = ({ operationId, classification, onRunningChange = () => {} }) => {
+  const { agents } = useAgentRegistry();
+  const canExecute = usePermission('missions.execute');
+  const [steps, setSteps] = useState(() => DEFAULT_PIPELINE.map(createStep));
+  const [maxRetries, setMaxRetries] = useState(1);
+  const [stepStates, setStepStates] = useState([]);
+  const [report, setReport] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const updateStep = (id, patch) =>
+    setSteps((current) => current.map((step) => (step.id === id ? { ...step, ...patch } : step)));
+
+  const moveStep = (index, offset) =>
+    setSteps((current) => {
+      const next = [...current];
+      const [step] = next.splice(index, 1);
+      next.splice(index + offset, 0, step);
+      return next;
+    });
+
+  const handleRun = async () => {
+    if (steps.length === 0 || steps.some((step) => !step.template.trim())) return;
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsRunning(true);
+    onRunningChange(true);
+    setReport(null);
+
+    const { success, states } = await runPipeline({
+      steps,
+      maxRetries,
+      onUpdate: setStepStates,
+      runStep: async (step, prompt) => {
+        const agentId = step.agentId || suggestAgent(prompt, agents)?.agent.id || null;
+        const { result } = await runMission({
+          prompt,
+          agentId,
+          operationId: operationId || null,
+          classification,
+          signal: controller.signal,
+        });
+        return result;
+      },
+    });
+
+    abortRef.current = null;
+    setIsRunning(false);
+    onRunningChange(false);
+    setReport({ success, text: buildPipelineReport(steps, states) });
+  };
+
+  return (
+    <div>
+      <div className="space-y-3">
+        {steps.map((step, index) => {
+          const state = stepStates[index];
+          return (
+            <div key={step.id} className="operation-item">
+              <div className="flex items-center space-x-2 mb-2">
+                <span className="text-green-400 font-bold text-sm">STEP {index + 1}</span>
+                <select
+                  className="mission-textarea flex-1 p-1 rounded-md text-xs"
+                  value={step.agentId}
+                  onChange={(e) => updateStep(step.id, { agentId: e.target.value })}
+                  disabled={isRunning}
+                >
+                  <option value="">Auto-route by capability</option>
+                  {agents.map((agent) => (
+                    <option key={agent.id} value={agent.id}>{agent.id} · {agent.name}</option>
+                  ))}
+                </select>
+                {state && (
+                  <span className={`operation-status ${STATUS_CLASS[state.status]} text-xs`}>
+                    {state.status}{state.attempts > 1 ? ` ×${state.attempts}` : ''}
+                  </span>
+                )}
+                <button onClick={() => moveStep(index, -1)} disabled={isRunning || index === 0} aria-label="Move step up">
+                  <ArrowUp className="w-3 h-3" />
+                </button>
+                <button onClick={() => moveStep(index, 1)} disabled={isRunning || index === steps.length - 1} aria-label="Move step down">
+                  <ArrowDown className="w-3 h-3" />
+                </button>
+                <button
+                  className="text-red-400"
+                  onClick={() => setSteps((current) => current.filter((s) => s.id !== step.id))}
+                  disabled={isRunning}
+                  aria-label="Remove step"
+                >
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </div>
+              <textarea
+                className="mission-textarea w-full p-2 rounded-md h-20 text-xs"
+                placeholder={index === 0 ? 'Prompt for the first step' : 'Prompt; use {{previous}} or {{step1}} to pull in earlier output'}
+                value={step.template}
+                onChange={(e) => updateStep(step.id, { template: e.target.value })}
+                disabled={isRunning}
+              ></textarea>
+              {state?.message && state.status !== 'SUCCESS' && (
+                <p className="text-xs text-red-400 mt-1">{state.message}</p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center space-x-2 mt-3">
+        <button
+          className="quick-action-button p-2 rounded text-xs flex items-center"
+          onClick={() => setSteps((current) => [...current, createStep()])}
+          disabled={isRunning}
+        >
+          <Plus className="w-3 h-3 mr-1" /> ADD STEP
+        </button>
+        <label className="text-xs text-gray-400 flex items-center">
+          RETRIES
+          <input
+            type="number"
+            min={0}
+            max={3}
+            className="mission-textarea w-12 p-1 rounded-md ml-2 text-xs"
+            value={maxRetries}
+            onChange={(e) => setMaxRetries(Math.min(3, Math.max(0, Number(e.target.value))))}
+            disabled={isRunning}
+          />
+        </label>
+      </div>
+
+      <div className="flex space-x-2 mt-4">
+        <button
+          className={`execute-button flex-1 p-3 rounded-md flex items-center justify-center ${isRunning ? 'processing' : ''}`}
+          onClick={handleRun}
+          disabled={isRunning || !canExecute}
+          title={canExecute ? undefined : 'Your role cannot execute missions'}
+        >
+          {isRunning ? (
+            <><Loader className="animate-spin mr-2" size={20} /> RUNNING PIPELINE...</>
+          ) : (
+            <><Play className="mr-2" size={20} /> RUN PIPELINE</>
+          )}
+        </button>
+        {isRunning && (
+          <button
+            className="stop-button p-3 rounded-md flex items-center justify-center"
+            onClick={() => abortRef.current?.abort()}
+          >
+            <Square className="mr-2" size={16} /> STOP
+          </button>
+        )}
+      </div>
+
+      {report && (
+        <div className="mission-result mt-6 p-4 rounded-md">
+          <h4 className="text-lg font-bold mb-2 flex items-center">
+            PIPELINE REPORT
+            {report.success ? (
+              <span className="success-badge ml-auto">SUCCESS</span>
+            ) : (
+              <span className="error-badge ml-auto">HALTED</span>
+            )}
+          </h4>
+          <div className="bg-gray-900 p-3 rounded-md text-xs font-mono whitespace-pre-wrap">
+            {report.text}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PipelineBuilder;
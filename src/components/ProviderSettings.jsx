@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { Cpu } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { useProvider } from '../hooks/use-provider';
+import { useClassification } from '../hooks/use-classification';
+import { PROVIDERS, modelLabel, providerMaxLevel, providerStore } from '../lib/providers';
+import PermissionGate from './PermissionGate';
+
+const SETTING_FIELDS = {
+  baseUrl: { label: 'BASE URL', placeholder: 'https://api.openai.com/v1', type: 'text' },
+  apiKey: { label: 'API KEY (stored in this browser)', placeholder: 'sk-…', type: 'password' },
+};
+
+/** Provider and model picker; used by the header dialog and the settings screen. */
+export const ProviderSettings = () => {
+  const { settings, provider, model } = useProvider();
+  const classification = useClassification();
+
+  return (
+    <PermissionGate permission="system.config" className="space-y-4 text-sm">
+      <div className="space-y-2">
+        {PROVIDERS.map((entry) => (
+          <label
+            key={entry.id}
+            className={`operation-item flex items-start cursor-pointer ${entry.id === provider.id ? 'active' : ''}`}
+          >
+            <input
+              type="radio"
+              name="provider"
+              className="mr-3 mt-1"
+              checked={entry.id === provider.id}
+              onChange={() => providerStore.selectProvider(entry.id)}
+            />
+            <span>
+              <span className="text-white font-semibold block">{entry.label}</span>
+              <span className="text-xs text-gray-400">{entry.description}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+
+      <label className="block text-xs text-gray-400">
+        MODEL
+        <Input
+          className="mission-textarea mt-1"
+          list={`models-${provider.id}`}
+          value={model}
+          onChange={(e) => providerStore.selectModel(provider.id, e.target.value)}
+        />
+        <datalist id={`models-${provider.id}`}>
+          {provider.models.map((option) => (
+            <option key={option} value={option}>{modelLabel(option)}</option>
+          ))}
+        </datalist>
+      </label>
+
+      <label className="block text-xs text-gray-400">
+        MAX CLASSIFICATION
+        <select
+          className="mission-textarea w-full mt-1 p-2 rounded-md text-sm"
+          value={providerMaxLevel(settings, classification)}
+          onChange={(e) => providerStore.setMaxLevel(provider.id, e.target.value)}
+        >
+          {classification.levels.map((level) => (
+            <option key={level.id} value={level.id}>{level.id}</option>
+          ))}
+        </select>
+      </label>
+
+      {(provider.settings || []).map((field) => (
+        <label key={field} className="block text-xs text-gray-400">
+          {SETTING_FIELDS[field].label}
+          <Input
+            className="mission-textarea mt-1"
+            type={SETTING_FIELDS[field].type}
+            placeholder={SETTING_FIELDS[field].placeholder}
+            value={settings[provider.id]?.[field] ?? ''}
+            onChange={(e) => providerStore.updateProviderSettings(provider.id, { [field]: e.target.value })}
+          />
+        </label>
+      ))}
+
+      <button className="quick-action-button w-full p-2 rounded text-xs" onClick={() => providerStore.reset()}>
+        RESET TO DEFAULTS
+      </button>
+    </PermissionGate>
+  );
+};
+
+/** Header button showing the active model; opens the provider settings. */
+const ProviderSettingsDialog = () => {
+  const [open, setOpen] = useState(false);
+  const { provider, model } = useProvider();
+
+  return (
+    <>
+      <button
+        className="quick-action-button px-2 py-1 rounded text-xs flex items-center"
+        onClick={() => setOpen(true)}
+        title={`${provider.label} · ${model}`}
+      >
+        <Cpu className="w-3 h-3 mr-1" /> {modelLabel(model)}
+      </button>
+      <Dialog open={open} onOpenChange={setOpen}>
+        <DialogContent className="tactical-dialog">
+          <DialogHeader>
+            <DialogTitle className="text-green-400">AI PROVIDER</DialogTitle>
+            <DialogDescription className="text-gray-400">
+              Where missions are sent for analysis. Applies to new missions.
+            </DialogDescription>
+          </DialogHeader>
+          <ProviderSettings />
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
+
+export default ProviderSettingsDialog;
@@ -0,0 +1,131 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { useQuickActions } from '../hooks/use-quick-actions';
+import { quickActions } from '../lib/quick-actions';
+import { useTemplateLibrary } from '../hooks/use-template-library';
+import TemplateVariablesForm from './TemplateVariablesForm';
+
+const ActionEditor = ({ action, templates }) => (
+  <div className="operation-item">
+    <div className="flex items-center space-x-2 mb-2">
+      <Input
+        className="mission-textarea flex-1"
+        value={action.label}
+        onChange={(e) => quickActions.update(action.id, { label: e.target.value })}
+      />
+      <select
+        className="mission-textarea p-2 rounded-md text-xs"
+        value={action.mode}
+        onChange={(e) => quickActions.update(action.id, { mode: e.target.value })}
+      >
+        <option value="prefill">PREFILL</option>
+        <option value="execute">EXECUTE NOW</option>
+      </select>
+      <label className="text-xs text-gray-400 flex items-center">
+        <input
+          type="checkbox"
+          className="mr-1"
+          checked={action.pinned}
+          onChange={(e) => quickActions.update(action.id, { pinned: e.target.checked })}
+        />
+        PIN
+      </label>
+      <button className="text-red-400" onClick={() => quickActions.remove(action.id)} aria-label="Delete action">
+        <Trash2 className="w-4 h-4" />
+      </button>
+    </div>
+    <select
+      className="mission-textarea w-full p-2 rounded-md text-xs mb-2"
+      value={action.templateId || ''}
+      onChange={(e) => quickActions.update(action.id, { templateId: e.target.value || null })}
+    >
+      <option value="">Inline prompt</option>
+      {templates.map((template) => (
+        <option key={template.id} value={template.id}>{template.type} · {template.name} (library)</option>
+      ))}
+    </select>
+    {!action.templateId && (
+      <Textarea
+        className="mission-textarea text-xs"
+        value={action.template || ''}
+        onChange={(e) => quickActions.update(action.id, { template: e.target.value })}
+      />
+    )}
+  </div>
+);
+
+const ConfigDialog = ({ open }) => {
+  const { actions } = useQuickActions();
+  const { templates } = useTemplateLibrary();
+  const editable = actions.filter((action) => action.kind !== 'config');
+
+  return (
+    <Dialog open={open} onOpenChange={quickActions.setConfigOpen}>
+      <DialogContent className="tactical-dialog sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle className="text-green-400">QUICK ACTION CONFIG</DialogTitle>
+          <DialogDescription className="text-gray-400">
+            Use {'{{area}}'}, {'{{timeframe}}'}, {'{{asset}}'} or any {'{{name}}'} to prompt for values when the action runs.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-2 max-h-[60vh] overflow-y-auto">
+          {editable.map((action) => (
+            <ActionEditor key={action.id} action={action} templates={templates} />
+          ))}
+        </div>
+        <DialogFooter>
+          <button className="quick-action-button threat p-2 rounded text-xs" onClick={quickActions.reset}>
+            RESET DEFAULTS
+          </button>
+          <button
+            className="quick-action-button p-2 rounded text-xs flex items-center"
+            onClick={() => quickActions.add({ label: 'CUSTOM ACTION', template: 'Report on {{area}}.' })}
+          >
+            <Plus className="w-3 h-3 mr-1" /> ADD ACTION
+          </button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+// Mounted once; any panel that calls quickActions.run() gets these dialogs.
+const QuickActionDialogs = () => {
+  const { pending, configOpen } = useQuickActions();
+
+  return (
+    <>
+      <Dialog open={Boolean(pending)} onOpenChange={(open) => !open && quickActions.cancel()}>
+        <DialogContent className="tactical-dialog">
+          {pending && (
+            <TemplateVariablesForm
+              title={pending.action.label}
+              description={
+                pending.action.mode === 'execute'
+                  ? 'Mission executes as soon as you confirm.'
+                  : 'Prompt is loaded into the mission input.'
+              }
+              variables={pending.variables}
+              submitLabel={pending.action.mode === 'execute' ? 'EXECUTE' : 'LOAD PROMPT'}
+              onSubmit={quickActions.submit}
+              onCancel={quickActions.cancel}
+            />
+          )}
+        </DialogContent>
+      </Dialog>
+      <ConfigDialog open={configOpen} />
+    </>
+  );
+};
+
+export default QuickActionDialogs;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { BookOpen, Settings, Zap } from 'lucide-react';
+import { useQuickActions } from '../hooks/use-quick-actions';
+import { useRole } from '../hooks/use-auth';
+import { actionPermission, quickActions } from '../lib/quick-actions';
+import { can, deniedMessage } from '../lib/permissions';
+import { templateLibrary } from '../lib/template-library';
+
+const QuickActions = () => {
+  const { actions } = useQuickActions();
+  const role = useRole();
+
+  return (
+    <div className="status-panel p-4">
+      <h3 className="flex items-center mb-4">
+        <Settings className="w-5 h-5 mr-2" />
+        QUICK ACTIONS
+        <button
+          className="quick-action-button ml-auto px-2 py-1 rounded text-xs flex items-center"
+          onClick={() => templateLibrary.setOpen(true)}
+        >
+          <BookOpen className="w-3 h-3 mr-1" /> TEMPLATES
+        </button>
+      </h3>
+      <div className="grid grid-cols-1 gap-2">
+        {actions.map((action) => {
+          const permission = actionPermission(action);
+          const allowed = can(role, permission);
+          return (
+            <button
+              key={action.id}
+              className={`quick-action-button ${action.tone} p-2 rounded text-xs flex items-center justify-center`}
+              onClick={() => quickActions.run(action.id)}
+              disabled={!allowed}
+              title={allowed ? undefined : deniedMessage(role, permission)}
+            >
+              {action.label}
+              {action.mode === 'execute' && <Zap className="w-3 h-3 ml-1" aria-label="Executes immediately" />}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default QuickActions;
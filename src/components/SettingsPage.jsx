@@ -0,0 +1,92 @@
+import React from 'react';
+import { useTheme } from 'next-themes';
+import { BookOpen, Check, Cpu, KeyRound, Palette, ShieldAlert } from 'lucide-react';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { useClassification } from '../hooks/use-classification';
+import { useRole } from '../hooks/use-auth';
+import { templateLibrary } from '../lib/template-library';
+import { THEMES } from '../lib/themes';
+import { PERMISSIONS, ROLES, can } from '../lib/permissions';
+import { ProviderSettings } from './ProviderSettings';
+import { ClassificationSettings } from './ClassificationBanner';
+
+const Section = ({ icon, title, children }) => {
+  const Icon = icon;
+  return (
+    <section className="status-panel p-4">
+      <h3 className="flex items-center mb-4">
+        <Icon className="w-5 h-5 mr-2" /> {title}
+      </h3>
+      {children}
+    </section>
+  );
+};
+
+/** Read-only role × permission grid; the current role's column is highlighted. */
+const PermissionsMatrix = () => {
+  const role = useRole();
+  return (
+    <Table className="text-xs">
+      <TableHeader>
+        <TableRow>
+          <TableHead>PERMISSION</TableHead>
+          {ROLES.map((id) => (
+            <TableHead key={id} className={id === role ? 'text-green-400' : ''}>{id.toUpperCase()}</TableHead>
+          ))}
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {Object.entries(PERMISSIONS).map(([id, permission]) => (
+          <TableRow key={id}>
+            <TableCell>{permission.label}</TableCell>
+            {ROLES.map((roleId) => (
+              <TableCell key={roleId}>
+                {can(roleId, id) && <Check className="w-3 h-3 text-green-400" aria-label="Allowed" />}
+              </TableCell>
+            ))}
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+};
+
+/** `/settings`: the settings otherwise spread over header popovers, dialogs and the palette. */
+const SettingsPage = () => {
+  const classification = useClassification();
+  const { theme, setTheme } = useTheme();
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <Section icon={Cpu} title="AI PROVIDER">
+        <ProviderSettings />
+      </Section>
+      <Section icon={ShieldAlert} title="CLASSIFICATION">
+        <ClassificationSettings config={classification} />
+      </Section>
+      <Section icon={Palette} title="THEME">
+        <div className="flex flex-wrap gap-2">
+          {THEMES.map((option) => (
+            <button
+              key={option.id}
+              className={`quick-action-button px-3 py-1 rounded text-xs ${theme === option.id ? 'active' : ''}`}
+              onClick={() => setTheme(option.id)}
+            >
+              {option.label.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </Section>
+      <Section icon={KeyRound} title="ROLES AND PERMISSIONS">
+        <PermissionsMatrix />
+      </Section>
+      <Section icon={BookOpen} title="PROMPT TEMPLATES">
+        <button className="quick-action-button px-3 py-1 rounded text-xs" onClick={() => templateLibrary.setOpen(true)}>
+          OPEN TEMPLATE LIBRARY
+        </button>
+      </Section>
+    </div>
+  );
+};
+
+export default SettingsPage;
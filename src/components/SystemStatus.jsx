@@ -0,0 +1,81 @@
+import React from 'react';
+import { Activity } from 'lucide-react';
+import { Line, LineChart, YAxis } from 'recharts';
+import { ChartContainer } from '@/components/ui/chart';
+import { useHealth } from '../hooks/use-health';
+import { useAgentRegistry } from '../hooks/use-agent-registry';
+import { probes } from '../lib/health';
+import { countActiveAgents } from '../lib/agent-registry';
+import { getStatusColor } from '../lib/status';
+
+const sparklineConfig = { latencyMs: { label: 'Latency', color: 'var(--tactical-green)' } };
+
+const COMMS_STATUS = {
+  CONNECTED: { status: 'OPERATIONAL', label: 'ENCRYPTED' },
+  RECONNECTING: { status: 'WARNING', label: 'RECONNECTING' },
+  DISCONNECTED: { status: 'CRITICAL', label: 'OFFLINE' },
+};
+
+const Sparkline = ({ samples }) => (
+  <ChartContainer config={sparklineConfig} className="h-6 w-20 aspect-auto mx-2">
+    <LineChart data={samples.map((sample) => ({ latencyMs: sample.ok ? sample.latencyMs : null }))}>
+      <YAxis hide domain={[0, 'dataMax']} />
+      <Line
+        type="monotone"
+        dataKey="latencyMs"
+        stroke="var(--color-latencyMs)"
+        strokeWidth={1.5}
+        dot={false}
+        isAnimationActive={false}
+      />
+    </LineChart>
+  </ChartContainer>
+);
+
+const StatusRow = ({ label, status, value, title, children }) => (
+  <div className="flex justify-between items-center" title={title}>
+    <span className="text-sm">{label}</span>
+    {children}
+    <span className={`${getStatusColor(status)} font-semibold text-sm`}>{value}</span>
+  </div>
+);
+
+const SystemStatus = () => {
+  const health = useHealth();
+  const { agents, connection } = useAgentRegistry();
+  const activeAgents = countActiveAgents(agents);
+  const comms = COMMS_STATUS[connection];
+
+  return (
+    <div className="status-panel p-4">
+      <h3 className="flex items-center mb-4">
+        <Activity className="w-5 h-5 mr-2" />
+        SYSTEM STATUS
+      </h3>
+      <div className="space-y-3">
+        {probes.map((probe) => {
+          const { status, latencyMs, errorRate, samples } = health[probe.id];
+          return (
+            <StatusRow
+              key={probe.id}
+              label={probe.label}
+              status={status}
+              value={status === 'OPERATIONAL' ? probe.okLabel : status}
+              title={`${latencyMs ?? '—'} ms avg · ${Math.round(errorRate * 100)}% errors over last ${samples.length} checks`}
+            >
+              <Sparkline samples={samples} />
+            </StatusRow>
+          );
+        })}
+        <StatusRow label="Secure Comms" status={comms.status} value={comms.label} title="Agent heartbeat feed" />
+        <StatusRow
+          label="Active Agents"
+          status={activeAgents < agents.length ? 'WARNING' : 'OPERATIONAL'}
+          value={activeAgents}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default SystemStatus;
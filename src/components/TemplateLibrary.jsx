@@ -0,0 +1,234 @@
+import React, { useRef, useState } from 'react';
+import { format } from 'date-fns';
+import { Download, History, Play, Plus, Trash2, Upload } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { useTemplateLibrary } from '../hooks/use-template-library';
+import { TEMPLATE_TYPES, latestVersion, templateLibrary } from '../lib/template-library';
+import { extractVariables } from '../lib/templates';
+import { downloadExport } from '../lib/report-export';
+import TemplateVariablesForm from './TemplateVariablesForm';
+
+const downloadTemplates = (ids, name) =>
+  downloadExport({ filename: `${name}.templates.json`, mimeType: 'application/json', content: templateLibrary.exportJson(ids) });
+
+// Keyed by template id + latest version so a saved or restored version resets the draft.
+const TemplateEditor = ({ template }) => {
+  const latest = latestVersion(template);
+  const [body, setBody] = useState(latest.body);
+  const [note, setNote] = useState('');
+  const variables = extractVariables(body);
+  const changed = body !== latest.body;
+
+  const saveVersion = () => {
+    templateLibrary.saveVersion(template.id, body, note.trim());
+    setNote('');
+  };
+
+  return (
+    <div className="space-y-3 text-xs">
+      <div className="flex space-x-2">
+        <Input
+          className="mission-textarea flex-1"
+          value={template.name}
+          onChange={(e) => templateLibrary.updateMeta(template.id, { name: e.target.value })}
+          aria-label="Template name"
+        />
+        <select
+          className="mission-textarea p-2 rounded-md"
+          value={template.type}
+          onChange={(e) => templateLibrary.updateMeta(template.id, { type: e.target.value })}
+          aria-label="Template type"
+        >
+          {TEMPLATE_TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+        </select>
+      </div>
+
+      <Textarea className="mission-textarea h-32" value={body} onChange={(e) => setBody(e.target.value)} />
+      <p className="text-gray-400">
+        VARIABLES: {variables.length ? variables.map((name) => `{{${name}}}`).join(' ') : 'none'}
+      </p>
+
+      <div className="flex space-x-2">
+        <Input
+          className="mission-textarea flex-1 h-8 text-xs"
+          placeholder="Change note (optional)"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          disabled={!changed}
+        />
+        <button className="execute-button px-3 rounded" onClick={saveVersion} disabled={!changed || !body.trim()}>
+          SAVE v{latest.version + 1}
+        </button>
+      </div>
+
+      <div className="flex space-x-2">
+        <button
+          className="quick-action-button flex-1 p-2 rounded flex items-center justify-center"
+          onClick={() => templateLibrary.use(template.id)}
+          disabled={changed}
+          title={changed ? 'Save or discard changes first' : 'Fill variables and load into the mission input'}
+        >
+          <Play className="w-3 h-3 mr-1" /> USE
+        </button>
+        <button
+          className="quick-action-button p-2 rounded flex items-center"
+          onClick={() => downloadTemplates([template.id], template.name.toLowerCase().replace(/\W+/g, '-'))}
+        >
+          <Download className="w-3 h-3 mr-1" /> EXPORT
+        </button>
+        <button
+          className="quick-action-button threat p-2 rounded"
+          onClick={() => templateLibrary.remove(template.id)}
+          aria-label="Delete template"
+        >
+          <Trash2 className="w-3 h-3" />
+        </button>
+      </div>
+
+      <div>
+        <h4 className="text-gray-400 mb-1 flex items-center"><History className="w-3 h-3 mr-1" /> VERSIONS</h4>
+        <ul className="space-y-1 max-h-40 overflow-y-auto">
+          {[...template.versions].reverse().map((version) => (
+            <li key={version.version} className="flex items-center justify-between">
+              <button className="text-left hover:text-green-400 truncate" onClick={() => setBody(version.body)}>
+                v{version.version} · {format(new Date(version.createdAt), 'yyyy-MM-dd HH:mm')}
+                {version.note && <span className="text-gray-500"> · {version.note}</span>}
+              </button>
+              {version.version !== latest.version && (
+                <button className="underline ml-2 shrink-0" onClick={() => templateLibrary.restoreVersion(template.id, version.version)}>
+                  restore
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+const TemplateLibraryDialog = ({ open, templates }) => {
+  const [selectedId, setSelectedId] = useState(null);
+  const [importMessage, setImportMessage] = useState(null);
+  const fileRef = useRef(null);
+  const selected = templates.find((template) => template.id === selectedId) || templates[0];
+
+  const createTemplate = () =>
+    setSelectedId(templateLibrary.create({ name: 'New template', body: 'Report on {{area}} over {{timeframe}}.' }));
+
+  const handleImport = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const count = templateLibrary.importJson(await file.text());
+      setImportMessage({ ok: true, text: `Imported ${count} template${count === 1 ? '' : 's'} from ${file.name}` });
+    } catch (error) {
+      setImportMessage({ ok: false, text: error.message });
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={templateLibrary.setOpen}>
+      <DialogContent className="tactical-dialog sm:max-w-4xl">
+        <DialogHeader>
+          <DialogTitle className="text-green-400">PROMPT TEMPLATE LIBRARY</DialogTitle>
+          <DialogDescription className="text-gray-400">
+            {'{{name}}'} placeholders become form fields when a template is used. Every save keeps a version.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 max-h-[65vh] overflow-y-auto">
+          <div className="space-y-3 text-xs">
+            <div className="flex space-x-1">
+              <button className="quick-action-button flex-1 p-1 rounded flex items-center justify-center" onClick={createTemplate}>
+                <Plus className="w-3 h-3 mr-1" /> NEW
+              </button>
+              <button
+                className="quick-action-button flex-1 p-1 rounded flex items-center justify-center"
+                onClick={() => fileRef.current?.click()}
+              >
+                <Upload className="w-3 h-3 mr-1" /> IMPORT
+              </button>
+              <button
+                className="quick-action-button flex-1 p-1 rounded flex items-center justify-center"
+                onClick={() => downloadTemplates(templates.map((template) => template.id), 'agentcy')}
+              >
+                <Download className="w-3 h-3 mr-1" /> ALL
+              </button>
+              <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={handleImport} />
+            </div>
+            {importMessage && (
+              <p className={importMessage.ok ? 'text-green-400' : 'text-red-400'}>{importMessage.text}</p>
+            )}
+            {TEMPLATE_TYPES.map((type) => {
+              const group = templates.filter((template) => template.type === type);
+              if (group.length === 0) return null;
+              return (
+                <div key={type}>
+                  <h4 className="text-gray-400 mb-1">{type}</h4>
+                  {group.map((template) => (
+                    <button
+                      key={template.id}
+                      className={`operation-item w-full text-left p-2 mb-1 ${template.id === selected?.id ? 'active' : ''}`}
+                      onClick={() => setSelectedId(template.id)}
+                    >
+                      <span className="text-white block truncate">{template.name}</span>
+                      <span className="text-gray-500">v{latestVersion(template).version}</span>
+                    </button>
+                  ))}
+                </div>
+              );
+            })}
+            <button className="underline text-gray-400" onClick={templateLibrary.reset}>
+              Restore built-in templates
+            </button>
+          </div>
+
+          <div className="md:col-span-2">
+            {selected ? (
+              <TemplateEditor key={`${selected.id}:${latestVersion(selected).version}`} template={selected} />
+            ) : (
+              <p className="text-xs text-gray-500">No templates yet.</p>
+            )}
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+// Mounted once; the library and the fill-in form for `templateLibrary.use()`.
+const TemplateLibrary = () => {
+  const { open, pending, templates } = useTemplateLibrary();
+
+  return (
+    <>
+      <TemplateLibraryDialog open={open} templates={templates} />
+      <Dialog open={Boolean(pending)} onOpenChange={(next) => !next && templateLibrary.cancel()}>
+        <DialogContent className="tactical-dialog">
+          {pending && (
+            <TemplateVariablesForm
+              title={pending.template.name}
+              description={`${pending.template.type} template · v${latestVersion(pending.template).version}`}
+              variables={pending.variables}
+              submitLabel="LOAD PROMPT"
+              onSubmit={(values) => templateLibrary.submit(values)}
+              onCancel={templateLibrary.cancel}
+            />
+          )}
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
+
+export default TemplateLibrary;
@@ -0,0 +1,67 @@
+import React, { useMemo } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Form, FormControl, FormField, FormItem, FormLabel, FormMessage } from '@/components/ui/form';
+import { Input } from '@/components/ui/input';
+import { VARIABLE_DEFAULTS } from '../lib/quick-actions';
+
+const labelFor = (name) => name.replace(/_/g, ' ').toUpperCase();
+
+// One required text field per {{variable}}.
+const schemaFor = (variables) =>
+  z.object(Object.fromEntries(
+    variables.map((name) => [name, z.string().trim().min(1, `${labelFor(name)} is required`)])
+  ));
+
+/**
+ * Dialog body generated from a template's variables. Renders inside a
+ * `DialogContent`; `onSubmit` receives the values keyed by variable name.
+ */
+const TemplateVariablesForm = ({ title, description, variables, submitLabel, onSubmit, onCancel }) => {
+  const schema = useMemo(() => schemaFor(variables), [variables]);
+  const form = useForm({
+    resolver: zodResolver(schema),
+    defaultValues: Object.fromEntries(variables.map((name) => [name, VARIABLE_DEFAULTS[name] ?? ''])),
+  });
+
+  return (
+    <Form {...form}>
+      <form onSubmit={form.handleSubmit(onSubmit)}>
+        <DialogHeader>
+          <DialogTitle className="text-green-400">{title}</DialogTitle>
+          <DialogDescription className="text-gray-400">{description}</DialogDescription>
+        </DialogHeader>
+        <div className="space-y-3 my-4">
+          {variables.map((name, index) => (
+            <FormField
+              key={name}
+              control={form.control}
+              name={name}
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-xs text-gray-400">{labelFor(name)}</FormLabel>
+                  <FormControl>
+                    <Input className="mission-textarea" autoFocus={index === 0} {...field} />
+                  </FormControl>
+                  <FormMessage className="text-xs text-red-400" />
+                </FormItem>
+              )}
+            />
+          ))}
+        </div>
+        <DialogFooter>
+          <button type="button" className="quick-action-button p-2 rounded text-xs" onClick={onCancel}>
+            CANCEL
+          </button>
+          <button type="submit" className="execute-button p-2 rounded text-xs">
+            {submitLabel}
+          </button>
+        </DialogFooter>
+      </form>
+    </Form>
+  );
+};
+
+export default TemplateVariablesForm;
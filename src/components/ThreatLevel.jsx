@@ -0,0 +1,116 @@
+import React from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { AlertTriangle, Check } from 'lucide-react';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from '@/components/ui/collapsible';
+import { useThreatLevel } from '../hooks/use-threat-level';
+import { THREAT_LEVELS, threatLevelStore } from '../lib/threat-level';
+import { missionHistory } from '../lib/mission-history';
+import PermissionGate from './PermissionGate';
+
+const NumberField = ({ label, value, onChange }) => (
+  <label className="flex justify-between items-center text-xs text-gray-400">
+    {label}
+    <input
+      type="number"
+      min={0}
+      className="mission-textarea w-16 p-1 rounded-md text-xs"
+      value={value}
+      onChange={(e) => onChange(Math.max(0, Number(e.target.value)))}
+    />
+  </label>
+);
+
+const ThresholdSettings = ({ config }) => (
+  <Collapsible className="mt-3">
+    <CollapsibleTrigger className="text-xs text-green-400 underline">THRESHOLDS</CollapsibleTrigger>
+    <CollapsibleContent className="mt-2">
+      <PermissionGate permission="system.config" className="space-y-1">
+        <NumberField
+          label="Window (hours)"
+          value={config.windowHours}
+          onChange={(windowHours) => threatLevelStore.updateConfig({ windowHours })}
+        />
+        {Object.keys(config.weights).map((signal) => (
+          <NumberField
+            key={signal}
+            label={`Weight · ${signal}`}
+            value={config.weights[signal]}
+            onChange={(weight) => threatLevelStore.updateConfig({ weights: { ...config.weights, [signal]: weight } })}
+          />
+        ))}
+        {THREAT_LEVELS.slice(1).map((level) => (
+          <NumberField
+            key={level}
+            label={`${level} at score ≥`}
+            value={config.thresholds[level]}
+            onChange={(min) => threatLevelStore.updateConfig({ thresholds: { ...config.thresholds, [level]: min } })}
+          />
+        ))}
+        <button className="quick-action-button w-full p-1 rounded text-xs mt-1" onClick={threatLevelStore.resetConfig}>
+          RESET DEFAULTS
+        </button>
+      </PermissionGate>
+    </CollapsibleContent>
+  </Collapsible>
+);
+
+const ThreatLevel = () => {
+  const { level, score, signals, config, lastChange } = useThreatLevel();
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <button className={`threat-level threat-${level.toLowerCase()}`}>
+          <AlertTriangle className="w-4 h-4 inline mr-1" />
+          THREAT LEVEL: {level}
+        </button>
+      </PopoverTrigger>
+      <PopoverContent className="tactical-dialog w-80" align="end">
+        <h4 className="font-bold text-green-400 mb-1">THREAT LEVEL: {level}</h4>
+        <p className="text-xs text-gray-400 mb-3">
+          Score {score} over the last {config.windowHours}h
+          {lastChange && (
+            <>
+              {' · '}
+              {lastChange.from ? `changed from ${lastChange.from}` : 'set'}{' '}
+              {formatDistanceToNow(new Date(lastChange.at), { addSuffix: true })}
+            </>
+          )}
+        </p>
+        <div className="space-y-2">
+          {signals.map((signal) => (
+            <div key={signal.id}>
+              <div className="flex justify-between text-sm">
+                <span>{signal.label}</span>
+                <span className={signal.count ? 'text-yellow-400' : 'text-gray-500'}>
+                  {signal.count} × {signal.weight} = {signal.contribution}
+                </span>
+              </div>
+              <ul className="text-xs text-gray-400 ml-2">
+                {signal.items.slice(0, 5).map((item) => (
+                  <li key={item.id} className="flex items-center">
+                    <span className="truncate flex-1">{item.label}</span>
+                    {item.resolvable && (
+                      <button
+                        className="ml-1 text-green-400"
+                        onClick={() => missionHistory.update(item.id, { resolvedAt: new Date().toISOString() })}
+                        aria-label="Resolve incident"
+                        title="Mark incident resolved"
+                      >
+                        <Check className="w-3 h-3" />
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+        <ThresholdSettings config={config} />
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default ThreatLevel;
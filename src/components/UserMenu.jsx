@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { Check, LogIn, LogOut, User, X } from 'lucide-react';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { Input } from '@/components/ui/input';
+import { useAuth, useRole } from '../hooks/use-auth';
+import { authStore } from '../lib/auth';
+import { PERMISSIONS, can } from '../lib/permissions';
+
+const SignInForm = ({ pending, error }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (await authStore.login(username.trim(), password)) setPassword('');
+  };
+
+  return (
+    <form className="space-y-2" onSubmit={handleSubmit}>
+      <Input
+        className="mission-textarea h-8 text-xs"
+        placeholder="Username"
+        autoComplete="username"
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+      />
+      <Input
+        className="mission-textarea h-8 text-xs"
+        type="password"
+        placeholder="Password"
+        autoComplete="current-password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+      />
+      {error && <p className="text-red-400">{error}</p>}
+      <button
+        type="submit"
+        className="execute-button w-full p-1 rounded flex items-center justify-center"
+        disabled={pending || !username.trim() || !password}
+      >
+        <LogIn className="w-3 h-3 mr-1" /> {pending ? 'SIGNING IN...' : 'SIGN IN'}
+      </button>
+    </form>
+  );
+};
+
+/** Header button with the signed-in user and role; signs in against the API and lists what the role may do. */
+const UserMenu = () => {
+  const { user, pending, error } = useAuth();
+  const role = useRole();
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <button className="quick-action-button px-2 py-1 rounded text-xs flex items-center" title="Signed-in user">
+          <User className="w-3 h-3 mr-1" /> {user ? `${user.name} · ${role.toUpperCase()}` : 'SIGN IN'}
+        </button>
+      </PopoverTrigger>
+      <PopoverContent className="tactical-dialog w-72 space-y-3 text-xs" align="end">
+        {user ? (
+          <div>
+            <h4 className="font-bold text-green-400">{user.name}</h4>
+            <p className="text-gray-400">
+              {user.id} · {role.toUpperCase()}
+              {user.expiresAt && ` · until ${format(new Date(user.expiresAt), 'HH:mm')}`}
+            </p>
+          </div>
+        ) : (
+          <>
+            <p className="text-gray-400">Signed out: read-only {role.toUpperCase()} access.</p>
+            <SignInForm pending={pending} error={error} />
+          </>
+        )}
+
+        <ul className="space-y-1">
+          {Object.entries(PERMISSIONS).map(([id, permission]) => (
+            <li key={id} className={`flex items-center ${can(role, id) ? 'text-white' : 'text-gray-500'}`}>
+              {can(role, id) ? <Check className="w-3 h-3 mr-1 text-green-400" /> : <X className="w-3 h-3 mr-1" />}
+              {permission.label}
+            </li>
+          ))}
+        </ul>
+
+        {user && (
+          <button className="quick-action-button w-full p-1 rounded flex items-center justify-center" onClick={authStore.logout}>
+            <LogOut className="w-3 h-3 mr-1" /> SIGN OUT
+          </button>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default UserMenu;
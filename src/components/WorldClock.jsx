@@ -0,0 +1,169 @@
+import React, { useEffect, useState } from 'react';
+import { Clock, Plus, SlidersHorizontal, Timer, X } from 'lucide-react';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { Input } from '@/components/ui/input';
+import { useOperations } from '../hooks/use-operations';
+import { activeWindow } from '../lib/operations';
+import { insertIntoMission } from '../lib/mission-commands';
+import {
+  LOCAL_ZONE,
+  MAX_THEATER_ZONES,
+  formatClock,
+  formatDtg,
+  formatElapsed,
+  isValidZone,
+  loadClockSettings,
+  saveClockSettings,
+} from '../lib/clock';
+
+const ClockButton = ({ label, zone, now }) => (
+  <button
+    className="world-clock flex flex-col items-start"
+    onClick={() => insertIntoMission(formatDtg(now, zone))}
+    title={`${zone} · click to insert DTG into the mission`}
+  >
+    <span className="text-xs text-gray-400">{label}</span>
+    <span className="text-green-400 font-mono">{formatClock(now, zone)}</span>
+    <span className="text-xs text-gray-500 font-mono">{formatDtg(now, zone)}</span>
+  </button>
+);
+
+const ClockSettings = ({ settings, onChange, operations }) => {
+  const [draft, setDraft] = useState({ label: '', zone: '' });
+  const [error, setError] = useState(null);
+
+  const addZone = () => {
+    const zone = draft.zone.trim();
+    if (!isValidZone(zone)) {
+      setError(`Unknown time zone "${zone}"`);
+      return;
+    }
+    onChange({
+      theaterZones: [...settings.theaterZones, { label: draft.label.trim().toUpperCase() || zone, zone }],
+    });
+    setDraft({ label: '', zone: '' });
+    setError(null);
+  };
+
+  return (
+    <div className="space-y-3 text-xs">
+      <label className="flex items-center text-gray-300">
+        <input
+          type="checkbox"
+          className="mr-2"
+          checked={settings.showLocal}
+          onChange={(e) => onChange({ showLocal: e.target.checked })}
+        />
+        Show local time ({LOCAL_ZONE})
+      </label>
+
+      <div>
+        <h4 className="text-gray-400 mb-1">THEATER ZONES</h4>
+        {settings.theaterZones.map((theater, index) => (
+          <div key={`${theater.zone}-${index}`} className="flex justify-between items-center">
+            <span>{theater.label} · {theater.zone}</span>
+            <button
+              className="text-red-400"
+              onClick={() => onChange({ theaterZones: settings.theaterZones.filter((_, i) => i !== index) })}
+              aria-label={`Remove ${theater.label}`}
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </div>
+        ))}
+        {settings.theaterZones.length < MAX_THEATER_ZONES && (
+          <div className="flex space-x-1 mt-1">
+            <Input
+              className="mission-textarea h-7 text-xs"
+              placeholder="Label"
+              value={draft.label}
+              onChange={(e) => setDraft((current) => ({ ...current, label: e.target.value }))}
+            />
+            <Input
+              className="mission-textarea h-7 text-xs"
+              placeholder="Asia/Kabul"
+              value={draft.zone}
+              onChange={(e) => setDraft((current) => ({ ...current, zone: e.target.value }))}
+              onKeyDown={(e) => e.key === 'Enter' && addZone()}
+            />
+            <button className="quick-action-button px-2 rounded" onClick={addZone} aria-label="Add zone">
+              <Plus className="w-3 h-3" />
+            </button>
+          </div>
+        )}
+        {error && <p className="text-red-400 mt-1">{error}</p>}
+      </div>
+
+      <label className="block text-gray-400">
+        MISSION ELAPSED TIMER
+        <select
+          className="mission-textarea w-full p-1 rounded-md mt-1"
+          value={settings.operationId || ''}
+          onChange={(e) => onChange({ operationId: e.target.value || null })}
+        >
+          <option value="">None</option>
+          {operations.map((operation) => (
+            <option key={operation.id} value={operation.id}>{operation.id} · {operation.name}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+const WorldClock = () => {
+  const [now, setNow] = useState(() => new Date());
+  const [settings, setSettings] = useState(loadClockSettings);
+  const { operations } = useOperations();
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const updateSettings = (patch) => {
+    const next = { ...settings, ...patch };
+    saveClockSettings(next);
+    setSettings(next);
+  };
+
+  const clocks = [
+    { label: 'ZULU', zone: 'UTC' },
+    ...(settings.showLocal ? [{ label: 'LOCAL', zone: LOCAL_ZONE }] : []),
+    ...settings.theaterZones,
+  ];
+
+  const operation = operations.find((op) => op.id === settings.operationId);
+  const met = operation && activeWindow(operation);
+
+  return (
+    <div className="flex items-center space-x-4">
+      <Clock className="w-4 h-4 text-green-400" />
+      {clocks.map((clock, index) => (
+        <ClockButton key={`${clock.zone}-${index}`} label={clock.label} zone={clock.zone} now={now} />
+      ))}
+      {operation && (
+        <div className="flex flex-col items-start" title={`Mission elapsed time for ${operation.name}`}>
+          <span className="text-xs text-gray-400 flex items-center">
+            <Timer className="w-3 h-3 mr-1" /> MET {operation.id}
+          </span>
+          <span className="text-yellow-400 font-mono">
+            {met ? formatElapsed((met.end ?? now) - met.start) : 'NOT ACTIVE'}
+          </span>
+        </div>
+      )}
+      <Popover>
+        <PopoverTrigger asChild>
+          <button className="text-gray-400 hover:text-green-400" aria-label="Clock settings">
+            <SlidersHorizontal className="w-4 h-4" />
+          </button>
+        </PopoverTrigger>
+        <PopoverContent className="tactical-dialog w-80" align="end">
+          <ClockSettings settings={settings} onChange={updateSettings} operations={operations} />
+        </PopoverContent>
+      </Popover>
+    </div>
+  );
+};
+
+export default WorldClock;
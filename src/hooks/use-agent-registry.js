@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { agentRegistry } from '../lib/agent-registry';
+
+export function useAgentRegistry() {
+  return useSyncExternalStore(agentRegistry.subscribe, agentRegistry.getSnapshot);
+}
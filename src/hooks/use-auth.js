@@ -0,0 +1,17 @@
+import { useSyncExternalStore } from 'react';
+import { authStore } from '../lib/auth';
+import { DEFAULT_ROLE, can } from '../lib/permissions';
+
+export function useAuth() {
+  return useSyncExternalStore(authStore.subscribe, authStore.getSnapshot);
+}
+
+/** The signed-in user's role; signed-out visitors get the lowest one. */
+export function useRole() {
+  return useAuth().user?.role ?? DEFAULT_ROLE;
+}
+
+/** Whether the current role grants `permission`. */
+export function usePermission(permission) {
+  return can(useRole(), permission);
+}
@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { classificationStore } from '../lib/classification';
+
+export function useClassification() {
+  return useSyncExternalStore(classificationStore.subscribe, classificationStore.getSnapshot);
+}
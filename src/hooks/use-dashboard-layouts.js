@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { dashboardLayouts } from '../lib/dashboard-layouts';
+
+export function useDashboardLayouts() {
+  return useSyncExternalStore(dashboardLayouts.subscribe, dashboardLayouts.getSnapshot);
+}
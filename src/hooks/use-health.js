@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { healthMonitor } from '../lib/health';
+
+export function useHealth() {
+  return useSyncExternalStore(healthMonitor.subscribe, healthMonitor.getSnapshot);
+}
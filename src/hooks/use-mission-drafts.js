@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { missionDrafts } from '../lib/mission-drafts';
+
+export function useMissionDrafts() {
+  return useSyncExternalStore(missionDrafts.subscribe, missionDrafts.getSnapshot);
+}
@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { missionHistory } from '../lib/mission-history';
+
+export function useMissionHistory() {
+  return useSyncExternalStore(missionHistory.subscribe, missionHistory.getSnapshot);
+}
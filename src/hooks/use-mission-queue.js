@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { missionQueue } from '../lib/mission-queue';
+
+export function useMissionQueue() {
+  return useSyncExternalStore(missionQueue.subscribe, missionQueue.getSnapshot);
+}
@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { operationsStore } from '../lib/operations-store';
+
+export function useOperations() {
+  return useSyncExternalStore(operationsStore.subscribe, operationsStore.getSnapshot);
+}
@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react';
+import { activeProvider, providerStore } from '../lib/providers';
+
+export function useProvider() {
+  const settings = useSyncExternalStore(providerStore.subscribe, providerStore.getSnapshot);
+  return { settings, ...activeProvider(settings) };
+}
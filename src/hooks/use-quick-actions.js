@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { quickActions } from '../lib/quick-actions';
+
+export function useQuickActions() {
+  return useSyncExternalStore(quickActions.subscribe, quickActions.getSnapshot);
+}
@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { templateLibrary } from '../lib/template-library';
+
+export function useTemplateLibrary() {
+  return useSyncExternalStore(templateLibrary.subscribe, templateLibrary.getSnapshot);
+}
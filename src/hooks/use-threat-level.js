@@ -0,0 +1,21 @@
+import { useEffect, useMemo, useSyncExternalStore } from 'react';
+import { assessThreat, threatLevelStore } from '../lib/threat-level';
+import { useAgentRegistry } from './use-agent-registry';
+import { useMissionHistory } from './use-mission-history';
+
+export function useThreatLevel() {
+  const { config, lastChange } = useSyncExternalStore(threatLevelStore.subscribe, threatLevelStore.getSnapshot);
+  const { agents } = useAgentRegistry();
+  const missions = useMissionHistory();
+
+  const assessment = useMemo(
+    () => assessThreat({ agents, missions, config }),
+    [agents, missions, config]
+  );
+
+  useEffect(() => {
+    threatLevelStore.recordLevel(assessment.level);
+  }, [assessment.level]);
+
+  return { ...assessment, config, lastChange };
+}
@@ -0,0 +1,40 @@
+// Per-agent figures derived from mission history, for the agent drawer and agents page.
+
+const CHART_WINDOW = 20;
+
+/** The agent's missions, newest first (history is already kept in that order). */
+export const agentMissions = (history, agentId) => history.filter((mission) => mission.agentId === agentId);
+
+/**
+ * Success rate over finished missions (stopped ones don't count against the
+ * agent), average latency over successful ones, and a chart series of the last
+ * missions oldest first: the running success rate and each mission's latency.
+ */
+export const agentMetrics = (missions) => {
+  const finished = missions.filter((mission) => mission.status === 'SUCCESS' || mission.status === 'FAILED');
+  const succeeded = finished.filter((mission) => mission.status === 'SUCCESS');
+  const latencies = succeeded.map((mission) => mission.durationMs).filter((ms) => Number.isFinite(ms));
+
+  let wins = 0;
+  const series = [...finished]
+    .reverse()
+    .map((mission, index) => {
+      if (mission.status === 'SUCCESS') wins += 1;
+      return {
+        startedAt: mission.startedAt,
+        successRate: Math.round((wins / (index + 1)) * 100),
+        latencySec: mission.status === 'SUCCESS' && Number.isFinite(mission.durationMs)
+          ? Number((mission.durationMs / 1000).toFixed(1))
+          : null,
+      };
+    })
+    .slice(-CHART_WINDOW);
+
+  return {
+    total: missions.length,
+    finished: finished.length,
+    successRate: finished.length ? Math.round((succeeded.length / finished.length) * 100) : null,
+    avgLatencyMs: latencies.length ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+    series,
+  };
+};
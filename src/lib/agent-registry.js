@@ -0,0 +1,257 @@
+import { apiUrl } from './api';
+
+const STORAGE_KEY = 'agentcy.agents';
+const RETIRED_KEY = 'agentcy.agents.retired';
+const TICK_MS = 1000;
+
+export const HEARTBEAT_THRESHOLDS = {
+  warningMs: 15000,
+  criticalMs: 45000,
+};
+
+const DEFAULT_AGENTS = [
+  {
+    id: 'INTEL-01',
+    name: 'Intelligence Agent Alpha',
+    currentMission: 'SIGINT Analysis',
+    capabilities: 'OSINT, SIGINT, Data Analysis'
+  },
+  {
+    id: 'TACTICAL-02',
+    name: 'Tactical Planning Agent',
+    currentMission: 'Route Optimization',
+    capabilities: 'Mission Planning, Terrain Analysis, Resource Allocation'
+  },
+  {
+    id: 'LOGISTICS-03',
+    name: 'Logistics Coordination Agent',
+    currentMission: 'Supply Chain Analysis',
+    capabilities: 'Supply Management, Transportation, Inventory'
+  },
+  {
+    id: 'COMMS-04',
+    name: 'Communications Agent',
+    currentMission: 'Secure Channel Maintenance',
+    capabilities: 'Secure Communications, Encryption, Signal Processing'
+  },
+  {
+    id: 'ANALYSIS-05',
+    name: 'Data Analysis Agent',
+    currentMission: 'Pattern Recognition',
+    capabilities: 'Data Mining, Pattern Analysis, Predictive Modeling'
+  },
+  {
+    id: 'SECURITY-06',
+    name: 'Security Monitoring Agent',
+    currentMission: 'Threat Detection',
+    capabilities: 'Threat Detection, Vulnerability Assessment, Incident Response'
+  }
+];
+
+const SEVERITY = ['OPERATIONAL', 'WARNING', 'CRITICAL'];
+
+const worst = (a, b) => (SEVERITY.indexOf(a) >= SEVERITY.indexOf(b) ? a : b);
+
+export const deriveStatus = (agent, now) => {
+  const silence = now - (agent.lastSeen ?? agent.registeredAt);
+  const heartbeatStatus =
+    silence > HEARTBEAT_THRESHOLDS.criticalMs ? 'CRITICAL'
+      : silence > HEARTBEAT_THRESHOLDS.warningMs ? 'WARNING'
+        : 'OPERATIONAL';
+  return worst(agent.reportedStatus || 'OPERATIONAL', heartbeatStatus);
+};
+
+const loadRoster = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored)) return stored;
+  } catch {
+    // Fall through to the default roster.
+  }
+  return DEFAULT_AGENTS;
+};
+
+// Retired ids stay retired: their heartbeats are ignored until the agent is added again.
+const loadRetired = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RETIRED_KEY));
+    if (Array.isArray(stored)) return new Set(stored);
+  } catch {
+    // Nothing retired yet.
+  }
+  return new Set();
+};
+
+const saveRetired = () => localStorage.setItem(RETIRED_KEY, JSON.stringify([...retired]));
+
+const saveRoster = () => {
+  const roster = agents.map(({ id, name, capabilities, paused }) => ({ id, name, capabilities, paused }));
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(roster));
+};
+
+const startedAt = Date.now();
+let agents = loadRoster().map((agent) => ({
+  currentMission: '',
+  paused: false,
+  ...agent,
+  reportedStatus: 'OPERATIONAL',
+  lastSeen: null,
+  registeredAt: startedAt,
+}));
+const retired = loadRetired();
+// Missions started through `assignMission` that haven't been released yet.
+const assignments = new Set();
+let connection = 'DISCONNECTED';
+let snapshot = null;
+const listeners = new Set();
+let source = null;
+let timer = null;
+
+const computeSnapshot = () => {
+  const now = Date.now();
+  return {
+    now,
+    connection,
+    agents: agents.map((agent) => ({ ...agent, status: deriveStatus(agent, now) })),
+  };
+};
+
+const emit = () => {
+  snapshot = computeSnapshot();
+  listeners.forEach((listener) => listener());
+};
+
+const updateAgent = (id, patch) => {
+  agents = agents.map((agent) => (agent.id === id ? { ...agent, ...patch } : agent));
+  emit();
+};
+
+const connect = () => {
+  source = new EventSource(apiUrl('/api/agents/heartbeats'));
+  source.onopen = () => {
+    connection = 'CONNECTED';
+    emit();
+  };
+  source.onerror = () => {
+    // EventSource retries on its own; just reflect the gap.
+    connection = source.readyState === EventSource.CLOSED ? 'DISCONNECTED' : 'RECONNECTING';
+    emit();
+  };
+  source.addEventListener('heartbeat', (event) => {
+    try {
+      agentRegistry.heartbeat(JSON.parse(event.data));
+    } catch (error) {
+      console.warn('Malformed heartbeat:', error);
+    }
+  });
+  timer = setInterval(emit, TICK_MS);
+};
+
+const disconnect = () => {
+  source?.close();
+  clearInterval(timer);
+  source = null;
+  connection = 'DISCONNECTED';
+};
+
+export const agentRegistry = {
+  subscribe(listener) {
+    listeners.add(listener);
+    if (!source) connect();
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0) disconnect();
+    };
+  },
+
+  getSnapshot: () => snapshot || (snapshot = computeSnapshot()),
+
+  // Heartbeats from unknown ids register the agent on the fly; retired ids are ignored.
+  heartbeat({ agentId, status, currentMission, at }) {
+    if (retired.has(agentId)) return;
+    const lastSeen = at ? new Date(at).getTime() : Date.now();
+    if (!agents.some((agent) => agent.id === agentId)) {
+      agentRegistry.addAgent({ id: agentId, name: agentId, capabilities: '' });
+    }
+    updateAgent(agentId, {
+      lastSeen,
+      ...(status && { reportedStatus: status }),
+      ...(currentMission !== undefined && { currentMission }),
+    });
+  },
+
+  addAgent({ id, name, capabilities }) {
+    if (agents.some((agent) => agent.id === id)) {
+      throw new Error(`Agent ${id} is already registered`);
+    }
+    agents = [
+      ...agents,
+      { id, name, capabilities, paused: false, currentMission: '', reportedStatus: 'OPERATIONAL', lastSeen: null, registeredAt: Date.now() },
+    ];
+    if (retired.delete(id)) saveRetired();
+    saveRoster();
+    emit();
+  },
+
+  /**
+   * Shows a running mission on the agent. Returns a release function that restores the
+   * previous label on whichever agent holds the mission by then, and returns the
+   * `{ from, to, at }` reassignments made while it ran.
+   */
+  assignMission(id, mission) {
+    const assignment = {
+      mission,
+      holder: id,
+      previous: agents.find((agent) => agent.id === id)?.currentMission ?? '',
+      reassignments: [],
+    };
+    assignments.add(assignment);
+    updateAgent(id, { currentMission: mission });
+    return () => {
+      assignments.delete(assignment);
+      if (agents.find((agent) => agent.id === assignment.holder)?.currentMission === mission) {
+        updateAgent(assignment.holder, { currentMission: assignment.previous });
+      }
+      return assignment.reassignments;
+    };
+  },
+
+  // Paused agents keep beating but are left out of auto-routing until resumed.
+  pauseAgent(id) {
+    updateAgent(id, { paused: true });
+    saveRoster();
+  },
+
+  resumeAgent(id) {
+    updateAgent(id, { paused: false });
+    saveRoster();
+  },
+
+  /** Hands the agent's current mission to another agent, leaving the first one idle; running missions log the move. */
+  reassignMission(fromId, toId) {
+    const mission = agents.find((agent) => agent.id === fromId)?.currentMission;
+    if (!mission || fromId === toId) return;
+    const assignment = [...assignments].find((entry) => entry.holder === fromId && entry.mission === mission);
+    if (assignment) {
+      assignment.holder = toId;
+      assignment.previous = agents.find((agent) => agent.id === toId)?.currentMission ?? '';
+      assignment.reassignments.push({ from: fromId, to: toId, at: new Date().toISOString() });
+    }
+    agents = agents.map((agent) => {
+      if (agent.id === fromId) return { ...agent, currentMission: '' };
+      if (agent.id === toId) return { ...agent, currentMission: mission };
+      return agent;
+    });
+    emit();
+  },
+
+  retireAgent(id) {
+    agents = agents.filter((agent) => agent.id !== id);
+    retired.add(id);
+    saveRetired();
+    saveRoster();
+    emit();
+  },
+};
+
+export const countActiveAgents = (list) => list.filter((agent) => agent.status !== 'CRITICAL' && !agent.paused).length;
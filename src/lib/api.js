@@ -0,0 +1,25 @@
+// The dev mock server (`vite --mode mock`) answers on the app's own origin.
+export const API_BASE_URL =
+  import.meta.env.VITE_API_BASE_URL ||
+  (import.meta.env.MODE === 'mock' ? '' : 'http://localhost:5000');
+
+export const apiUrl = (path) => `${API_BASE_URL}${path}`;
+
+export class ApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+export const readError = async (response) => {
+  try {
+    const data = await response.json();
+    // OpenAI-style APIs nest the message: `{ error: { message } }`.
+    const detail = data.error?.message ?? data.error ?? data.message;
+    return new ApiError(detail || 'Unknown error occurred', response.status);
+  } catch {
+    return new ApiError(`Request failed with status ${response.status}`, response.status);
+  }
+};
@@ -0,0 +1,99 @@
+import { extractPdfText } from './pdf-text';
+
+export const ATTACHMENT_LIMITS = {
+  maxFiles: 10,
+  maxFileBytes: 5 * 1024 * 1024,
+  maxTotalBytes: 20 * 1024 * 1024,
+  // Extracted text beyond this is cut before it goes into a prompt.
+  maxTextChars: 60000,
+};
+
+const KINDS = [
+  { kind: 'json', test: (type, name) => type === 'application/json' || /\.json$/i.test(name) },
+  { kind: 'csv', test: (type, name) => type === 'text/csv' || /\.csv$/i.test(name) },
+  { kind: 'pdf', test: (type, name) => type === 'application/pdf' || /\.pdf$/i.test(name) },
+  { kind: 'image', test: (type) => type.startsWith('image/') },
+  { kind: 'text', test: (type, name) => type.startsWith('text/') || /\.(txt|log|md)$/i.test(name) },
+];
+
+/** Value for a file input's `accept` attribute. */
+export const ACCEPTED_FILES = '.txt,.log,.md,.csv,.json,.pdf,text/*,application/json,application/pdf,image/*';
+
+const kindOf = (file) => KINDS.find(({ test }) => test(file.type || '', file.name))?.kind ?? null;
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const prettyJson = (text) => {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch {
+    return text;
+  }
+};
+
+const extractText = async (file, kind) => {
+  if (kind === 'image') return null;
+  if (kind === 'pdf') return (await extractPdfText(await file.arrayBuffer())) || null;
+  const text = await file.text();
+  return kind === 'json' ? prettyJson(text) : text;
+};
+
+/**
+ * Checks `files` against the type and size limits given what is already
+ * attached, then reads the accepted ones. Resolves with `{ accepted, errors }`;
+ * each attachment is `{ id, name, type, size, kind, text, file }` where `text`
+ * is the client-side extraction (null for images and PDFs without text).
+ */
+export const readAttachments = async (files, existing = []) => {
+  const errors = [];
+  const accepted = [];
+  let count = existing.length;
+  let total = existing.reduce((sum, attachment) => sum + attachment.size, 0);
+
+  for (const file of files) {
+    const kind = kindOf(file);
+    if (!kind) {
+      errors.push(`${file.name}: unsupported file type`);
+    } else if (file.size > ATTACHMENT_LIMITS.maxFileBytes) {
+      errors.push(`${file.name}: ${formatBytes(file.size)} exceeds the ${formatBytes(ATTACHMENT_LIMITS.maxFileBytes)} per-file limit`);
+    } else if (count + 1 > ATTACHMENT_LIMITS.maxFiles) {
+      errors.push(`${file.name}: at most ${ATTACHMENT_LIMITS.maxFiles} files per mission`);
+    } else if (total + file.size > ATTACHMENT_LIMITS.maxTotalBytes) {
+      errors.push(`${file.name}: attachments would exceed ${formatBytes(ATTACHMENT_LIMITS.maxTotalBytes)} in total`);
+    } else {
+      try {
+        const text = await extractText(file, kind);
+        accepted.push({ id: crypto.randomUUID(), name: file.name, type: file.type, size: file.size, kind, text, file });
+        count += 1;
+        total += file.size;
+      } catch (error) {
+        errors.push(`${file.name}: could not be read (${error.message})`);
+      }
+    }
+  }
+
+  return { accepted, errors };
+};
+
+/** What gets stored with a mission record or thread turn; the file bytes stay out of history. */
+export const attachmentMeta = ({ name, type, size, kind }) => ({ name, type, size, kind });
+
+/**
+ * Inlines extracted attachment text into the prompt for providers that only
+ * take text. Images and files without text are listed by name.
+ */
+export const attachmentPrompt = (prompt, attachments = []) => {
+  if (attachments.length === 0) return prompt;
+  const sections = attachments.map(({ name, kind, text }) => {
+    if (!text) return `--- ATTACHMENT: ${name} (${kind}, no extractable text) ---`;
+    const body = text.length > ATTACHMENT_LIMITS.maxTextChars
+      ? `${text.slice(0, ATTACHMENT_LIMITS.maxTextChars)}\n[truncated]`
+      : text;
+    return `--- ATTACHMENT: ${name} (${kind}) ---\n${body}`;
+  });
+  return [prompt, '', ...sections].join('\n');
+};
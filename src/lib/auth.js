@@ -0,0 +1,104 @@
+import { apiUrl, readError } from './api';
+import { DEFAULT_ROLE, ROLES, can } from './permissions';
+
+const STORAGE_KEY = 'agentcy.authToken';
+
+// setTimeout misfires on delays past ~24.8 days.
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const base64UrlDecode = (segment) => {
+  const base64 = segment.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(segment.length / 4) * 4, '=');
+  return new TextDecoder().decode(Uint8Array.from(atob(base64), (char) => char.charCodeAt(0)));
+};
+
+/** Claims of a JWT. The signature is the API's to check; the UI only reads who is signed in. */
+export const decodeToken = (token) => JSON.parse(base64UrlDecode(token.split('.')[1]));
+
+/** The user a token describes, or null when it is malformed or expired. Unknown roles get the lowest one. */
+export const userFromToken = (token, now = Date.now()) => {
+  try {
+    const claims = decodeToken(token);
+    if (claims.exp && claims.exp * 1000 <= now) return null;
+    return {
+      id: claims.sub,
+      name: claims.name || claims.sub,
+      role: ROLES.includes(claims.role) ? claims.role : DEFAULT_ROLE,
+      expiresAt: claims.exp ? new Date(claims.exp * 1000).toISOString() : null,
+    };
+  } catch {
+    return null;
+  }
+};
+
+const load = () => {
+  const token = localStorage.getItem(STORAGE_KEY);
+  const user = token && userFromToken(token);
+  return user ? { token, user } : { token: null, user: null };
+};
+
+let state = { ...load(), pending: false, error: null };
+let expiryTimer = null;
+const listeners = new Set();
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  listeners.forEach((listener) => listener());
+};
+
+const signOut = (error = null) => {
+  clearTimeout(expiryTimer);
+  localStorage.removeItem(STORAGE_KEY);
+  setState({ token: null, user: null, error });
+};
+
+// Drop back to the signed-out role the moment the token expires.
+const scheduleExpiry = () => {
+  clearTimeout(expiryTimer);
+  if (!state.user?.expiresAt) return;
+  const delay = Math.min(new Date(state.user.expiresAt) - Date.now(), MAX_TIMER_MS);
+  expiryTimer = setTimeout(() => signOut('Session expired; sign in again'), delay);
+};
+
+scheduleExpiry();
+
+export const authStore = {
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  getSnapshot: () => state,
+
+  /** Exchanges credentials for a JWT at the API's `/auth/login`. Failures land on `error`. */
+  async login(username, password) {
+    setState({ pending: true, error: null });
+    try {
+      const response = await fetch(apiUrl('/auth/login'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password }),
+      });
+      if (!response.ok) throw await readError(response);
+      const { token } = await response.json();
+      const user = token && userFromToken(token);
+      if (!user) throw new Error('Login returned an invalid or expired token');
+      localStorage.setItem(STORAGE_KEY, token);
+      setState({ token, user, pending: false });
+      scheduleExpiry();
+      return user;
+    } catch (error) {
+      setState({ pending: false, error: error.message });
+      return null;
+    }
+  },
+
+  logout: () => signOut(),
+};
+
+/** Signed-out visitors get the lowest role. */
+export const currentRole = () => state.user?.role ?? DEFAULT_ROLE;
+
+export const hasPermission = (permission) => can(currentRole(), permission);
+
+/** Bearer header for API calls, empty when signed out. */
+export const authHeaders = () => (state.token ? { Authorization: `Bearer ${state.token}` } : {});
@@ -0,0 +1,74 @@
+const STORAGE_KEY = 'agentcy.classification';
+
+// Ordered lowest to highest; banner colours follow the usual marking conventions.
+export const DEFAULT_LEVELS = [
+  { id: 'UNCLASSIFIED', color: '#007a33' },
+  { id: 'CUI', color: '#502b85' },
+  { id: 'CONFIDENTIAL', color: '#0033a0' },
+  { id: 'SECRET', color: '#c8102e' },
+];
+
+export const DEFAULT_CLASSIFICATION_CONFIG = {
+  levels: DEFAULT_LEVELS,
+  defaultLevel: 'UNCLASSIFIED',
+  // Highest level the mission backend is accredited to receive.
+  backendMaxLevel: import.meta.env.VITE_BACKEND_MAX_CLASSIFICATION || 'UNCLASSIFIED',
+};
+
+const load = () => {
+  try {
+    return { ...DEFAULT_CLASSIFICATION_CONFIG, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_CLASSIFICATION_CONFIG;
+  }
+};
+
+let state = load();
+const listeners = new Set();
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  listeners.forEach((listener) => listener());
+};
+
+export const classificationStore = {
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  getSnapshot: () => state,
+
+  update(patch) {
+    setState(patch);
+  },
+
+  reset() {
+    setState(DEFAULT_CLASSIFICATION_CONFIG);
+  },
+};
+
+/** Position of a level in the configured order; unknown levels rank as the highest. */
+export const rankOf = (level, levels = state.levels) => {
+  const index = levels.findIndex((entry) => entry.id === level);
+  return index === -1 ? levels.length : index;
+};
+
+export const levelInfo = (level, levels = state.levels) =>
+  levels.find((entry) => entry.id === level) || { id: level, color: '#c8102e' };
+
+/** Highest of the given markings, ignoring blanks; falls back to the default level. */
+export const highestLevel = (markings, config = state) => {
+  const present = markings.filter(Boolean);
+  if (present.length === 0) return config.defaultLevel;
+  return present.reduce((highest, level) =>
+    rankOf(level, config.levels) > rankOf(highest, config.levels) ? level : highest
+  );
+};
+
+/** Fails closed: an unknown ceiling only lets the lowest level through, and unknown data never passes. */
+export const canRelease = (level, maxLevel = state.backendMaxLevel, levels = state.levels) => {
+  const ceiling = levels.findIndex((entry) => entry.id === maxLevel);
+  return rankOf(level, levels) <= Math.max(ceiling, 0);
+};
@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_LEVELS, canRelease, highestLevel, rankOf } from './classification';
+
+describe('canRelease', () => {
+  it('releases levels up to and including the maximum', () => {
+    expect(canRelease('UNCLASSIFIED', 'CONFIDENTIAL', DEFAULT_LEVELS)).toBe(true);
+    expect(canRelease('CONFIDENTIAL', 'CONFIDENTIAL', DEFAULT_LEVELS)).toBe(true);
+    expect(canRelease('SECRET', 'CONFIDENTIAL', DEFAULT_LEVELS)).toBe(false);
+  });
+
+  it('never releases an unknown marking', () => {
+    expect(canRelease('TOP SECRET', 'SECRET', DEFAULT_LEVELS)).toBe(false);
+  });
+
+  it('treats an unknown maximum as the lowest level', () => {
+    expect(canRelease('UNCLASSIFIED', 'COSMIC', DEFAULT_LEVELS)).toBe(true);
+    expect(canRelease('CUI', 'COSMIC', DEFAULT_LEVELS)).toBe(false);
+    expect(canRelease('SECRET', undefined, DEFAULT_LEVELS)).toBe(false);
+  });
+});
+
+describe('rankOf and highestLevel', () => {
+  it('ranks unknown levels above the configured ones', () => {
+    expect(rankOf('UNCLASSIFIED', DEFAULT_LEVELS)).toBe(0);
+    expect(rankOf('TOP SECRET', DEFAULT_LEVELS)).toBe(DEFAULT_LEVELS.length);
+  });
+
+  it('picks the highest marking and ignores blanks', () => {
+    const config = { levels: DEFAULT_LEVELS, defaultLevel: 'UNCLASSIFIED' };
+    expect(highestLevel(['CUI', null, 'SECRET', ''], config)).toBe('SECRET');
+    expect(highestLevel([null, undefined], config)).toBe('UNCLASSIFIED');
+  });
+});
@@ -0,0 +1,96 @@
+// Time-zone helpers for the header clock strip, including military DTG formatting.
+
+const STORAGE_KEY = 'agentcy.clocks';
+export const MAX_THEATER_ZONES = 4;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Military zone letters by whole-hour UTC offset; J marks any other local time.
+const ZONE_LETTERS = {
+  0: 'Z',
+  1: 'A', 2: 'B', 3: 'C', 4: 'D', 5: 'E', 6: 'F', 7: 'G', 8: 'H', 9: 'I', 10: 'K', 11: 'L', 12: 'M',
+  '-1': 'N', '-2': 'O', '-3': 'P', '-4': 'Q', '-5': 'R', '-6': 'S', '-7': 'T', '-8': 'U', '-9': 'V', '-10': 'W', '-11': 'X', '-12': 'Y',
+};
+
+export const LOCAL_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second'),
+  };
+};
+
+export const zoneOffsetMinutes = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+export const zoneLetter = (date, timeZone) => {
+  const offset = zoneOffsetMinutes(date, timeZone);
+  return offset % 60 === 0 ? ZONE_LETTERS[offset / 60] ?? 'J' : 'J';
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const formatClock = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  return `${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+};
+
+// Date-time group, e.g. 191314Z OCT 26.
+export const formatDtg = (date, timeZone = 'UTC') => {
+  const p = zonedParts(date, timeZone);
+  const letter = timeZone === 'UTC' ? 'Z' : zoneLetter(date, timeZone);
+  return `${pad(p.day)}${pad(p.hour)}${pad(p.minute)}${letter} ${MONTHS[p.month - 1]} ${pad(p.year % 100)}`;
+};
+
+export const formatElapsed = (ms) => {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(total / 86400);
+  const clock = `${pad(Math.floor((total % 86400) / 3600))}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+  return days ? `${days}d ${clock}` : clock;
+};
+
+export const isValidZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const DEFAULT_CLOCKS = {
+  showLocal: true,
+  theaterZones: [],
+  operationId: null,
+};
+
+export const loadClockSettings = () => {
+  try {
+    return { ...DEFAULT_CLOCKS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_CLOCKS;
+  }
+};
+
+export const saveClockSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
@@ -0,0 +1,227 @@
+const STORAGE_KEY = 'agentcy.dashboardLayouts';
+
+export const MAX_COLUMNS = 4;
+
+/** Panels the dashboard can arrange, in their default reading order. */
+export const DASHBOARD_PANELS = [
+  { id: 'mission', label: 'Mission Interface' },
+  { id: 'operations', label: 'Active Operations' },
+  { id: 'agents', label: 'Agent Status' },
+  { id: 'quickActions', label: 'Quick Actions' },
+  { id: 'systemStatus', label: 'System Status' },
+];
+
+const PANEL_IDS = DASHBOARD_PANELS.map((panel) => panel.id);
+
+// A layout is a row of columns, each a stack of panels. Column sizes are percentages of
+// the row; `sizes` holds each panel's percentage of its column (missing ones split evenly).
+// Collapsed panels shrink to their title bar, hidden ones are left out entirely.
+export const BUILT_IN_LAYOUTS = [
+  {
+    id: 'standard',
+    name: 'Standard',
+    columns: [
+      { size: 66, panels: ['mission'] },
+      { size: 34, panels: ['operations', 'agents', 'quickActions', 'systemStatus'] },
+    ],
+    sizes: {},
+    collapsed: [],
+    hidden: [],
+  },
+  {
+    id: 'watch-floor',
+    name: 'Watch floor',
+    columns: [
+      { size: 34, panels: ['operations', 'systemStatus'] },
+      { size: 33, panels: ['agents'] },
+      { size: 33, panels: ['mission', 'quickActions'] },
+    ],
+    sizes: { operations: 60, systemStatus: 40, mission: 70, quickActions: 30 },
+    collapsed: ['quickActions'],
+    hidden: [],
+  },
+  {
+    id: 'planning',
+    name: 'Planning',
+    columns: [
+      { size: 60, panels: ['mission'] },
+      { size: 40, panels: ['operations', 'quickActions', 'agents'] },
+    ],
+    sizes: { operations: 60, quickActions: 40 },
+    collapsed: ['agents'],
+    hidden: ['systemStatus'],
+  },
+];
+
+export const isBuiltIn = (id) => BUILT_IN_LAYOUTS.some((layout) => layout.id === id);
+
+/**
+ * Repairs a stored layout: drops unknown or duplicate panels and empty columns, and
+ * puts panels added since it was saved at the end of the last column.
+ */
+const normalizeLayout = (layout) => {
+  const seen = new Set();
+  const columns = (layout.columns || [])
+    .map((column) => ({
+      size: column.size,
+      panels: (column.panels || []).filter((id) => PANEL_IDS.includes(id) && !seen.has(id) && seen.add(id)),
+    }))
+    .filter((column) => column.panels.length > 0)
+    .slice(0, MAX_COLUMNS);
+  const missing = PANEL_IDS.filter((id) => !columns.some((column) => column.panels.includes(id)));
+  if (missing.length) {
+    if (columns.length) columns[columns.length - 1].panels.push(...missing);
+    else columns.push({ size: 100, panels: missing });
+  }
+  return {
+    ...layout,
+    columns,
+    sizes: layout.sizes || {},
+    collapsed: (layout.collapsed || []).filter((id) => PANEL_IDS.includes(id)),
+    hidden: (layout.hidden || []).filter((id) => PANEL_IDS.includes(id)),
+  };
+};
+
+const load = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!saved) throw new Error('empty');
+    const layouts = [
+      ...BUILT_IN_LAYOUTS.filter((layout) => !saved.layouts.some((entry) => entry.id === layout.id)),
+      ...saved.layouts,
+    ].map(normalizeLayout);
+    const activeId = layouts.some((layout) => layout.id === saved.activeId) ? saved.activeId : layouts[0].id;
+    return { layouts, activeId, revision: 0 };
+  } catch {
+    return { layouts: BUILT_IN_LAYOUTS, activeId: BUILT_IN_LAYOUTS[0].id, revision: 0 };
+  }
+};
+
+let state = load();
+const listeners = new Set();
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  listeners.forEach((listener) => listener());
+};
+
+export const activeLayout = ({ layouts, activeId } = state) =>
+  layouts.find((layout) => layout.id === activeId) || layouts[0];
+
+const updateActive = (fn) => {
+  const current = activeLayout();
+  const next = normalizeLayout(fn(current));
+  setState({ layouts: state.layouts.map((layout) => (layout.id === current.id ? next : layout)) });
+};
+
+const toggle = (list, id) => (list.includes(id) ? list.filter((entry) => entry !== id) : [...list, id]);
+
+// onLayout fires on every mount; skip writes that only differ by rounding.
+const sameSizes = (a, b) => a.length === b.length && a.every((size, index) => Math.abs(size - b[index]) < 0.1);
+
+/** Scales the given sizes (undefined meaning "even share") so they sum to 100. */
+export const normalizeSizes = (sizes) => {
+  const known = sizes.filter((size) => Number.isFinite(size) && size > 0);
+  const fallback = known.length ? known.reduce((sum, size) => sum + size, 0) / known.length : 1;
+  const filled = sizes.map((size) => (Number.isFinite(size) && size > 0 ? size : fallback));
+  const total = filled.reduce((sum, size) => sum + size, 0);
+  return filled.map((size) => (size / total) * 100);
+};
+
+/**
+ * Moves a panel before `beforeId` in column `columnIndex` (to the end when `beforeId`
+ * is null). A `columnIndex` equal to the column count opens a new column.
+ */
+export const movePanel = (layout, panelId, columnIndex, beforeId = null) => {
+  if (panelId === beforeId) return layout;
+  const columns = layout.columns.map((column) => ({ ...column, panels: column.panels.filter((id) => id !== panelId) }));
+  if (columnIndex >= columns.length) {
+    if (columns.length >= MAX_COLUMNS) return layout;
+    const share = 100 / (columns.length + 1);
+    columns.forEach((column) => {
+      column.size = (column.size ?? share) * (1 - share / 100);
+    });
+    columns.push({ size: share, panels: [] });
+  }
+  const target = columns[columnIndex].panels;
+  const index = beforeId ? target.indexOf(beforeId) : -1;
+  target.splice(index === -1 ? target.length : index, 0, panelId);
+  const remaining = columns.filter((column) => column.panels.length > 0);
+  const sizes = normalizeSizes(remaining.map((column) => column.size));
+  return { ...layout, columns: remaining.map((column, i) => ({ ...column, size: sizes[i] })) };
+};
+
+export const dashboardLayouts = {
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  getSnapshot: () => state,
+
+  select(id) {
+    if (state.layouts.some((layout) => layout.id === id)) setState({ activeId: id });
+  },
+
+  /** Copies the current arrangement under a new name and switches to it. */
+  saveAs(name) {
+    const layout = { ...activeLayout(), id: `layout-${crypto.randomUUID()}`, name: name.trim() };
+    setState({ layouts: [...state.layouts, layout], activeId: layout.id });
+    return layout;
+  },
+
+  remove(id) {
+    if (isBuiltIn(id)) return;
+    const layouts = state.layouts.filter((layout) => layout.id !== id);
+    setState({ layouts, activeId: state.activeId === id ? layouts[0].id : state.activeId });
+  },
+
+  /**
+   * Puts a built-in layout back the way it shipped. Bumps `revision`, since resizable
+   * panels only read their sizes on mount.
+   */
+  reset(id = state.activeId) {
+    const original = BUILT_IN_LAYOUTS.find((layout) => layout.id === id);
+    if (!original) return;
+    setState({
+      layouts: state.layouts.map((layout) => (layout.id === id ? original : layout)),
+      revision: state.revision + 1,
+    });
+  },
+
+  movePanel(panelId, columnIndex, beforeId) {
+    updateActive((layout) => movePanel(layout, panelId, columnIndex, beforeId));
+  },
+
+  /** Sizes for the shown columns, by index (columns whose panels are all hidden aren't shown). */
+  resizeColumns(columnIndexes, sizes) {
+    const layout = activeLayout();
+    if (sameSizes(columnIndexes.map((index) => layout.columns[index].size), sizes)) return;
+    updateActive((current) => ({
+      ...current,
+      columns: current.columns.map((column, index) => {
+        const position = columnIndexes.indexOf(index);
+        return position === -1 ? column : { ...column, size: sizes[position] };
+      }),
+    }));
+  },
+
+  /** Sizes for the expanded panels of one column, in display order. */
+  resizePanels(panelIds, sizes) {
+    const layout = activeLayout();
+    if (sameSizes(panelIds.map((id) => layout.sizes[id]), sizes)) return;
+    updateActive((current) => ({
+      ...current,
+      sizes: { ...current.sizes, ...Object.fromEntries(panelIds.map((id, index) => [id, sizes[index]])) },
+    }));
+  },
+
+  toggleCollapsed(panelId) {
+    updateActive((layout) => ({ ...layout, collapsed: toggle(layout.collapsed, panelId) }));
+  },
+
+  toggleHidden(panelId) {
+    updateActive((layout) => ({ ...layout, hidden: toggle(layout.hidden, panelId) }));
+  },
+};
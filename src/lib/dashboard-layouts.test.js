@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { BUILT_IN_LAYOUTS, MAX_COLUMNS, movePanel, normalizeSizes } from './dashboard-layouts';
+
+const standard = BUILT_IN_LAYOUTS.find((layout) => layout.id === 'standard');
+const panelsOf = (layout) => layout.columns.map((column) => column.panels);
+const total = (layout) => layout.columns.reduce((sum, column) => sum + column.size, 0);
+
+describe('movePanel', () => {
+  it('puts the panel before another one in the target column', () => {
+    const next = movePanel(standard, 'systemStatus', 1, 'operations');
+    expect(panelsOf(next)).toEqual([['mission'], ['systemStatus', 'operations', 'agents', 'quickActions']]);
+  });
+
+  it('appends to the column when there is no panel to go before', () => {
+    const next = movePanel(standard, 'operations', 0);
+    expect(panelsOf(next)).toEqual([['mission', 'operations'], ['agents', 'quickActions', 'systemStatus']]);
+  });
+
+  it('opens a new column and shrinks the others to make room', () => {
+    const next = movePanel(standard, 'agents', 2);
+    expect(panelsOf(next)).toEqual([['mission'], ['operations', 'quickActions', 'systemStatus'], ['agents']]);
+    expect(next.columns[2].size).toBeCloseTo(100 / 3);
+    expect(total(next)).toBeCloseTo(100);
+  });
+
+  it('drops a column left empty and gives its share to the rest', () => {
+    const next = movePanel(standard, 'mission', 1, 'operations');
+    expect(panelsOf(next)).toEqual([['mission', 'operations', 'agents', 'quickActions', 'systemStatus']]);
+    expect(next.columns[0].size).toBeCloseTo(100);
+  });
+
+  it(`refuses a column beyond ${MAX_COLUMNS}`, () => {
+    const full = {
+      ...standard,
+      columns: ['mission', 'operations', 'agents', 'quickActions'].map((id) => ({ size: 25, panels: [id] })),
+    };
+    full.columns[3].panels.push('systemStatus');
+    expect(movePanel(full, 'systemStatus', MAX_COLUMNS)).toBe(full);
+  });
+
+  it('leaves the layout alone when a panel is dropped on itself', () => {
+    expect(movePanel(standard, 'agents', 1, 'agents')).toBe(standard);
+  });
+});
+
+describe('normalizeSizes', () => {
+  it('scales sizes to sum to 100 and fills gaps with the average', () => {
+    expect(normalizeSizes([30, 10])).toEqual([75, 25]);
+    expect(normalizeSizes([10, undefined, 30, undefined])).toEqual([12.5, 25, 37.5, 25]);
+    expect(normalizeSizes([undefined, undefined])).toEqual([50, 50]);
+  });
+});
@@ -0,0 +1,61 @@
+// Matches mission prompts to agents by the capability strings in the registry.
+
+// Extra words that count as a hit for a capability tag.
+const TAG_KEYWORDS = {
+  osint: ['open source', 'intelligence', 'intel', 'gather', 'recon'],
+  sigint: ['signal', 'intercept', 'sigint', 'emission'],
+  'data analysis': ['analyze', 'analysis', 'data', 'summary', 'summarize'],
+  'mission planning': ['plan', 'planning', 'deployment', 'operation'],
+  'terrain analysis': ['terrain', 'route', 'geography', 'movement'],
+  'resource allocation': ['resource', 'allocation', 'allocate', 'assets'],
+  'supply management': ['supply', 'supplies', 'stock'],
+  transportation: ['transport', 'convoy', 'vehicle', 'airlift'],
+  inventory: ['inventory', 'equipment'],
+  'secure communications': ['communications', 'comms', 'radio', 'channel'],
+  encryption: ['encrypt', 'encryption', 'crypto', 'cipher'],
+  'signal processing': ['signal', 'frequency', 'spectrum'],
+  'data mining': ['mining', 'dataset', 'records'],
+  'pattern analysis': ['pattern', 'trend', 'anomaly'],
+  'predictive modeling': ['predict', 'forecast', 'projection'],
+  'threat detection': ['threat', 'hostile', 'detect', 'attack'],
+  'vulnerability assessment': ['vulnerability', 'weakness', 'exposure', 'assess'],
+  'incident response': ['incident', 'breach', 'countermeasure', 'respond'],
+};
+
+const STATUS_WEIGHT = { OPERATIONAL: 1, WARNING: 0.5, CRITICAL: 0 };
+
+export const parseCapabilities = (capabilities = '') =>
+  capabilities
+    .split(',')
+    .map((tag) => tag.trim().toLowerCase())
+    .filter(Boolean);
+
+const keywordsFor = (tag) => [tag, ...tag.split(/\s+/).filter((word) => word.length > 3), ...(TAG_KEYWORDS[tag] || [])];
+
+const scoreTag = (tag, text) => keywordsFor(tag).filter((keyword) => text.includes(keyword)).length;
+
+/**
+ * Scores every agent against a prompt, best first. Paused agents and agents
+ * whose heartbeats are CRITICAL never win; WARNING agents are down-weighted.
+ */
+export const rankAgents = (prompt, agents) => {
+  const text = prompt.toLowerCase();
+  return agents
+    .map((agent) => {
+      const matches = parseCapabilities(agent.capabilities)
+        .map((tag) => ({ tag, hits: scoreTag(tag, text) }))
+        .filter(({ hits }) => hits > 0);
+      const raw = matches.reduce((sum, { hits }) => sum + hits, 0);
+      return {
+        agent,
+        matchedTags: matches.map(({ tag }) => tag),
+        score: agent.paused ? 0 : raw * (STATUS_WEIGHT[agent.status] ?? 1),
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+export const suggestAgent = (prompt, agents) => {
+  const [best] = rankAgents(prompt, agents);
+  return best && best.score > 0 ? best : null;
+};
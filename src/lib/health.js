@@ -0,0 +1,109 @@
+import { apiUrl } from './api';
+
+const HISTORY_SIZE = 30;
+
+const PROBE_DEFAULTS = {
+  intervalMs: 10000,
+  timeoutMs: 5000,
+  warningLatencyMs: 800,
+  criticalLatencyMs: 2500,
+  warningErrorRate: 0.1,
+  criticalErrorRate: 0.5,
+};
+
+const DEFAULT_PROBES = [
+  { id: 'ai', label: 'AI Processing', path: '/health', okLabel: 'ONLINE' },
+  { id: 'database', label: 'Database', path: '/api/operations', okLabel: 'OPERATIONAL' },
+];
+
+// VITE_HEALTH_PROBES takes a JSON array of { id, label, path | url, ...thresholds }.
+const loadProbes = () => {
+  const configured = import.meta.env.VITE_HEALTH_PROBES;
+  let probes = DEFAULT_PROBES;
+  if (configured) {
+    try {
+      const parsed = JSON.parse(configured);
+      if (!Array.isArray(parsed)) throw new Error('expected an array of probes');
+      probes = parsed;
+    } catch (error) {
+      console.warn('Ignoring malformed VITE_HEALTH_PROBES:', error);
+    }
+  }
+  return probes.map((probe) => ({ ...PROBE_DEFAULTS, okLabel: 'OPERATIONAL', ...probe }));
+};
+
+export const probes = loadProbes();
+
+export const summarize = (probe, samples) => {
+  if (samples.length === 0) {
+    return { status: 'UNKNOWN', errorRate: 0, latencyMs: null };
+  }
+  const failures = samples.filter((sample) => !sample.ok).length;
+  const errorRate = failures / samples.length;
+  const ok = samples.filter((sample) => sample.ok);
+  const recent = ok.slice(-5);
+  const latencyMs = recent.length
+    ? Math.round(recent.reduce((sum, sample) => sum + sample.latencyMs, 0) / recent.length)
+    : null;
+  const last = samples[samples.length - 1];
+
+  let status = 'OPERATIONAL';
+  if (!last.ok || errorRate >= probe.criticalErrorRate || latencyMs > probe.criticalLatencyMs) {
+    status = 'CRITICAL';
+  } else if (errorRate >= probe.warningErrorRate || latencyMs > probe.warningLatencyMs) {
+    status = 'WARNING';
+  }
+  return { status, errorRate, latencyMs };
+};
+
+const runProbe = async (probe) => {
+  const started = performance.now();
+  try {
+    const response = await fetch(probe.url || apiUrl(probe.path), {
+      cache: 'no-store',
+      signal: AbortSignal.timeout(probe.timeoutMs),
+    });
+    return { at: Date.now(), ok: response.ok, latencyMs: Math.round(performance.now() - started) };
+  } catch {
+    return { at: Date.now(), ok: false, latencyMs: Math.round(performance.now() - started) };
+  }
+};
+
+const emptyState = () =>
+  Object.fromEntries(probes.map((probe) => [probe.id, { samples: [], ...summarize(probe, []) }]));
+
+let state = emptyState();
+const listeners = new Set();
+let timers = [];
+
+const record = (probe, sample) => {
+  const samples = [...state[probe.id].samples, sample].slice(-HISTORY_SIZE);
+  state = { ...state, [probe.id]: { samples, ...summarize(probe, samples) } };
+  listeners.forEach((listener) => listener());
+};
+
+const start = () => {
+  timers = probes.map((probe) => {
+    const poll = async () => record(probe, await runProbe(probe));
+    poll();
+    return setInterval(poll, probe.intervalMs);
+  });
+};
+
+const stop = () => {
+  timers.forEach(clearInterval);
+  timers = [];
+};
+
+export const healthMonitor = {
+  subscribe(listener) {
+    listeners.add(listener);
+    if (listeners.size === 1) start();
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0) stop();
+    };
+  },
+
+  getSnapshot: () => state,
+};
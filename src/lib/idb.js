@@ -0,0 +1,48 @@
+const DB_NAME = 'agentcy-one';
+const DB_VERSION = 2;
+
+// Object stores keyed by name; add new stores here and bump DB_VERSION.
+const STORES = {
+  missions: { keyPath: 'id', indexes: ['startedAt'] },
+  missionQueue: { keyPath: 'id', indexes: ['position'] },
+};
+
+let dbPromise = null;
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export const openDb = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(STORES).forEach(([name, { keyPath, indexes }]) => {
+        if (db.objectStoreNames.contains(name)) return;
+        const store = db.createObjectStore(name, { keyPath });
+        indexes.forEach((index) => store.createIndex(index, index));
+      });
+    };
+    dbPromise = promisify(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (name, mode, fn) => {
+  const db = await openDb();
+  return promisify(fn(db.transaction(name, mode).objectStore(name)));
+};
+
+export const getAll = (name) => withStore(name, 'readonly', (store) => store.getAll());
+
+export const put = (name, value) => withStore(name, 'readwrite', (store) => store.put(value));
+
+export const remove = (name, key) => withStore(name, 'readwrite', (store) => store.delete(key));
+
+export const clear = (name) => withStore(name, 'readwrite', (store) => store.clear());
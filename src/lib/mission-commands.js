@@ -0,0 +1,41 @@
+// Lets panels outside MissionInterface drive the mission composer.
+const listeners = new Set();
+const unhandledListeners = new Set();
+
+// The last command sent while no composer was mounted; the next composer to subscribe picks it up.
+let pending = null;
+
+export const onMissionCommand = (listener) => {
+  listeners.add(listener);
+  if (pending) {
+    const command = pending;
+    pending = null;
+    listener(command);
+  }
+  return () => listeners.delete(listener);
+};
+
+/** Told about commands that found no composer, so the shell can open one. */
+export const onUnhandledMissionCommand = (listener) => {
+  unhandledListeners.add(listener);
+  return () => unhandledListeners.delete(listener);
+};
+
+const send = (command) => {
+  if (listeners.size === 0) {
+    pending = command;
+    unhandledListeners.forEach((listener) => listener(command));
+    return;
+  }
+  listeners.forEach((listener) => listener(command));
+};
+
+// `missionType` (INTEL, TACTICAL, THREAT…) travels with the prompt into mission history.
+export const prefillMission = (prompt, { missionType = null } = {}) =>
+  send({ type: 'prefill', prompt, missionType });
+
+// Inserts text at the composer's cursor without replacing the current prompt.
+export const insertIntoMission = (text) => send({ type: 'insert', text });
+
+export const executeMission = (prompt, { missionType = null } = {}) =>
+  send({ type: 'execute', prompt, missionType });
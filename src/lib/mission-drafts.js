@@ -0,0 +1,190 @@
+const STORAGE_KEY = 'agentcy.missionDrafts';
+const SAVE_DELAY_MS = 300;
+// Only the latest turns of each thread survive a reload; every turn is also in mission history.
+const MAX_STORED_TURNS = 20;
+
+export const AUTO_AGENT = 'AUTO';
+
+// The parts of a tab that make up a mission tasking (and get stored in a named draft).
+const DRAFT_FIELDS = ['prompt', 'missionType', 'operationId', 'classification', 'agentChoice'];
+
+const pickDraft = (source) => Object.fromEntries(DRAFT_FIELDS.map((field) => [field, source[field]]));
+
+const createTab = (counter, patch = {}) => ({
+  id: crypto.randomUUID(),
+  name: `Mission ${counter}`,
+  prompt: '',
+  missionType: null,
+  operationId: '',
+  classification: null,
+  agentChoice: AUTO_AGENT,
+  draftId: null,
+  threadId: null,
+  thread: [],
+  updatedAt: new Date().toISOString(),
+  ...patch,
+});
+
+const initialState = () => {
+  const tab = createTab(1);
+  return { tabs: [tab], activeTabId: tab.id, saved: [], counter: 1 };
+};
+
+const load = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    // Tabs stored before follow-up threads existed get an empty one.
+    if (stored?.tabs?.length) return { ...stored, tabs: stored.tabs.map((tab) => ({ threadId: null, thread: [], ...tab })) };
+  } catch {
+    // Fall through to a single empty tab.
+  }
+  return initialState();
+};
+
+let state = load();
+let saveTimer = null;
+const listeners = new Set();
+
+const notify = () => listeners.forEach((listener) => listener());
+
+// A full quota shows up on `saveError` and the next change tries again.
+const flush = () => {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  const { saveError, ...stored } = state;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      ...stored,
+      tabs: stored.tabs.map((tab) => ({ ...tab, thread: tab.thread.slice(-MAX_STORED_TURNS) })),
+    }));
+    if (!saveError) return;
+    state = { ...state, saveError: null };
+  } catch (error) {
+    state = { ...state, saveError: `Drafts not saved: ${error.message}` };
+  }
+  notify();
+};
+
+// Keystroke-level autosave, batched; anything pending is written before the page goes away.
+window.addEventListener('beforeunload', () => saveTimer && flush());
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+  notify();
+};
+
+const patchTab = (id, patch) => {
+  setState({
+    tabs: state.tabs.map((tab) => {
+      if (tab.id !== id) return tab;
+      const changes = typeof patch === 'function' ? patch(tab) : patch;
+      return { ...tab, ...changes, updatedAt: new Date().toISOString() };
+    }),
+  });
+};
+
+/** True when a tab opened from (or saved as) a named draft has changed since. */
+export const isDirty = (tab, saved) => {
+  const draft = saved.find((entry) => entry.id === tab.draftId);
+  return Boolean(draft) && DRAFT_FIELDS.some((field) => (draft[field] ?? null) !== (tab[field] ?? null));
+};
+
+export const missionDrafts = {
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  getSnapshot: () => state,
+
+  openTab(patch) {
+    const counter = state.counter + 1;
+    const tab = createTab(counter, patch);
+    setState({ tabs: [...state.tabs, tab], activeTabId: tab.id, counter });
+    return tab.id;
+  },
+
+  closeTab(id) {
+    const index = state.tabs.findIndex((tab) => tab.id === id);
+    const tabs = state.tabs.filter((tab) => tab.id !== id);
+    // Closing the last tab opens a fresh one; named drafts and the tab counter are kept.
+    if (tabs.length === 0) {
+      const counter = state.counter + 1;
+      const tab = createTab(counter);
+      setState({ tabs: [tab], activeTabId: tab.id, counter });
+      return;
+    }
+    const activeTabId = state.activeTabId === id ? tabs[Math.max(index - 1, 0)].id : state.activeTabId;
+    setState({ tabs, activeTabId });
+  },
+
+  setActiveTab(id) {
+    setState({ activeTabId: id });
+  },
+
+  /** `patch` may be an object or a function of the current tab. */
+  updateTab: patchTab,
+
+  updateActiveTab(patch) {
+    patchTab(state.activeTabId, patch);
+  },
+
+  /** Adds a turn to the tab's thread, starting the thread on the first one. */
+  appendTurn(tabId, turn) {
+    patchTab(tabId, (tab) => ({ threadId: tab.threadId || crypto.randomUUID(), thread: [...tab.thread, turn] }));
+  },
+
+  /** Updates one turn in place, e.g. when the queue delivers a mission queued from it. */
+  updateTurn(tabId, turnId, patch) {
+    patchTab(tabId, (tab) => ({ thread: tab.thread.map((turn) => (turn.id === turnId ? { ...turn, ...patch } : turn)) }));
+  },
+
+  clearThread(tabId) {
+    patchTab(tabId, { threadId: null, thread: [] });
+  },
+
+  /** Opens a new tab continuing the thread from `turnId`, leaving the original untouched. */
+  forkTurn(tabId, turnId) {
+    const tab = state.tabs.find((entry) => entry.id === tabId);
+    const index = tab?.thread.findIndex((turn) => turn.id === turnId) ?? -1;
+    if (index < 0) return;
+    missionDrafts.openTab({
+      ...pickDraft(tab),
+      name: `${tab.name} · fork`,
+      prompt: '',
+      threadId: crypto.randomUUID(),
+      thread: tab.thread.slice(0, index + 1),
+    });
+  },
+
+  /** Stores the tab as a named draft, overwriting the draft it came from if any. */
+  saveDraft(tabId, name) {
+    const tab = state.tabs.find((entry) => entry.id === tabId);
+    if (!tab || !name.trim()) return;
+    const draft = { id: tab.draftId || crypto.randomUUID(), name: name.trim(), ...pickDraft(tab), savedAt: new Date().toISOString() };
+    setState({
+      saved: [draft, ...state.saved.filter((entry) => entry.id !== draft.id)],
+      tabs: state.tabs.map((entry) => (entry.id === tabId ? { ...entry, name: draft.name, draftId: draft.id } : entry)),
+    });
+  },
+
+  /** Focuses the tab already showing a draft, or opens it in a new one. */
+  openDraft(draftId) {
+    const open = state.tabs.find((tab) => tab.draftId === draftId);
+    if (open) {
+      setState({ activeTabId: open.id });
+      return;
+    }
+    const draft = state.saved.find((entry) => entry.id === draftId);
+    if (draft) missionDrafts.openTab({ name: draft.name, draftId: draft.id, ...pickDraft(draft) });
+  },
+
+  deleteDraft(draftId) {
+    setState({
+      saved: state.saved.filter((entry) => entry.id !== draftId),
+      tabs: state.tabs.map((tab) => (tab.draftId === draftId ? { ...tab, draftId: null } : tab)),
+    });
+  },
+};
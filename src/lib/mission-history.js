@@ -0,0 +1,73 @@
+import * as idb from './idb';
+
+const STORE = 'missions';
+
+let entries = [];
+let loaded = false;
+const listeners = new Set();
+
+const emit = () => listeners.forEach((listener) => listener());
+
+const setEntries = (next) => {
+  entries = next;
+  emit();
+};
+
+const byNewest = (a, b) => b.startedAt.localeCompare(a.startedAt);
+
+const load = async () => {
+  loaded = true;
+  try {
+    setEntries((await idb.getAll(STORE)).sort(byNewest));
+  } catch (error) {
+    console.warn('Mission history unavailable:', error);
+  }
+};
+
+export const missionHistory = {
+  subscribe(listener) {
+    listeners.add(listener);
+    if (!loaded) load();
+    return () => listeners.delete(listener);
+  },
+
+  getSnapshot: () => entries,
+
+  async record(entry) {
+    const record = { id: crypto.randomUUID(), ...entry };
+    setEntries([record, ...entries.filter((e) => e.id !== record.id)].sort(byNewest));
+    await idb.put(STORE, record).catch((error) => console.warn('Failed to persist mission:', error));
+    return record;
+  },
+
+  async update(id, patch) {
+    const current = entries.find((e) => e.id === id);
+    if (!current) return;
+    const record = { ...current, ...patch };
+    setEntries(entries.map((e) => (e.id === id ? record : e)));
+    await idb.put(STORE, record);
+  },
+
+  async remove(id) {
+    setEntries(entries.filter((e) => e.id !== id));
+    await idb.remove(STORE, id);
+  },
+
+  async clear() {
+    setEntries([]);
+    await idb.clear(STORE);
+  },
+};
+
+export const isFailure = (entry) => entry.status !== 'SUCCESS';
+
+// Every whitespace-separated term must appear in the prompt or the response.
+export const searchMissions = (list, query, status = 'ALL') => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return list.filter((entry) => {
+    if (status === 'SUCCESS' && isFailure(entry)) return false;
+    if (status === 'FAILED' && !isFailure(entry)) return false;
+    const haystack = `${entry.prompt}\n${entry.response || ''}\n${entry.message || ''}`.toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+  });
+};
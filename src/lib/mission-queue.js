@@ -0,0 +1,175 @@
+import * as idb from './idb';
+import { runMission } from './mission-runner';
+import { missionDrafts } from './mission-drafts';
+import { resultStatus } from './mission-thread';
+
+const STORE = 'missionQueue';
+
+export const RETRY_BACKOFF = {
+  baseMs: 5000,
+  maxMs: 5 * 60 * 1000,
+};
+
+/** Delay before attempt `attempts + 1`: 5s, 10s, 20s … capped at five minutes. */
+export const backoffDelay = (attempts) =>
+  Math.min(RETRY_BACKOFF.baseMs * 2 ** Math.max(attempts - 1, 0), RETRY_BACKOFF.maxMs);
+
+let state = { entries: [], online: typeof navigator === 'undefined' ? true : navigator.onLine };
+let loaded = false;
+let timer = null;
+let inFlight = null;
+const listeners = new Set();
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  listeners.forEach((listener) => listener());
+};
+
+const byPosition = (a, b) => a.position - b.position;
+
+const persist = (entry) =>
+  idb.put(STORE, entry).catch((error) => console.warn('Failed to persist queued mission:', error));
+
+const setEntries = (entries) => setState({ entries: [...entries].sort(byPosition) });
+
+const patchEntry = (id, patch) => {
+  const entry = state.entries.find((e) => e.id === id);
+  if (!entry) return null;
+  const next = { ...entry, ...patch };
+  setEntries(state.entries.map((e) => (e.id === id ? next : e)));
+  persist(next);
+  return next;
+};
+
+const dropEntry = (id) => {
+  setEntries(state.entries.filter((e) => e.id !== id));
+  idb.remove(STORE, id).catch(() => {});
+};
+
+// A mission queued from a thread turn answers that turn once it is delivered or given up on.
+const settleTurn = (entry, result, record) => {
+  if (!entry.turn) return;
+  missionDrafts.updateTurn(entry.turn.tabId, entry.turn.turnId, {
+    status: resultStatus(result),
+    message: result.message,
+    analysis: result.analysis || '',
+    report: result.report || null,
+    recordId: record?.id || null,
+  });
+};
+
+const schedule = () => {
+  clearTimeout(timer);
+  if (!state.online || inFlight) return;
+  const waiting = state.entries.filter((entry) => entry.status === 'WAITING');
+  if (waiting.length === 0) return;
+  const due = Math.min(...waiting.map((entry) => entry.nextAttemptAt));
+  timer = setTimeout(processNext, Math.max(due - Date.now(), 0));
+};
+
+// Sends the first due mission in queue order; one at a time so ordering means something.
+const processNext = async () => {
+  const now = Date.now();
+  const entry = state.entries.find((e) => e.status === 'WAITING' && e.nextAttemptAt <= now);
+  if (!entry || !state.online) {
+    schedule();
+    return;
+  }
+
+  const controller = new AbortController();
+  inFlight = { id: entry.id, controller };
+  patchEntry(entry.id, { status: 'SENDING', attempts: entry.attempts + 1 });
+
+  const { result, record } = await runMission({ ...entry.mission, deferRetryable: true, signal: controller.signal });
+  inFlight = null;
+
+  if (result.aborted) {
+    // Cancelled from the queue panel: the entry is already gone and the runner logged it as ABORTED.
+    settleTurn(entry, result, record);
+  } else if (result.retryable) {
+    const attempts = entry.attempts + 1;
+    patchEntry(entry.id, { status: 'WAITING', lastError: result.message, nextAttemptAt: Date.now() + backoffDelay(attempts) });
+  } else {
+    // Delivered (or permanently rejected); either way it is in mission history now.
+    dropEntry(entry.id);
+    settleTurn(entry, result, record);
+  }
+  schedule();
+};
+
+const setOnline = (online) => {
+  setState({ online });
+  if (online) {
+    // Link is back: don't make operators wait out the backoff.
+    const now = Date.now();
+    state.entries.filter((e) => e.status === 'WAITING').forEach((e) => patchEntry(e.id, { nextAttemptAt: now }));
+  }
+  schedule();
+};
+
+const load = async () => {
+  loaded = true;
+  window.addEventListener('online', () => setOnline(true));
+  window.addEventListener('offline', () => setOnline(false));
+  try {
+    // Anything mid-flight when the page closed goes back to waiting.
+    const stored = (await idb.getAll(STORE)).map((entry) => ({ ...entry, status: 'WAITING' }));
+    setEntries(stored);
+  } catch (error) {
+    console.warn('Mission queue unavailable:', error);
+  }
+  schedule();
+};
+
+export const missionQueue = {
+  subscribe(listener) {
+    listeners.add(listener);
+    if (!loaded) load();
+    return () => listeners.delete(listener);
+  },
+
+  getSnapshot: () => state,
+
+  /** Queues `mission` (the runMission arguments) for retry after `error`; `turn` is the `{ tabId, turnId }` to answer. */
+  enqueue(mission, error, turn = null) {
+    const now = Date.now();
+    const entry = {
+      id: crypto.randomUUID(),
+      mission,
+      turn,
+      status: 'WAITING',
+      attempts: 1,
+      lastError: error,
+      queuedAt: new Date(now).toISOString(),
+      nextAttemptAt: now + backoffDelay(1),
+      position: (state.entries.at(-1)?.position ?? 0) + 1,
+    };
+    setEntries([...state.entries, entry]);
+    persist(entry);
+    schedule();
+    return entry;
+  },
+
+  cancel(id) {
+    const entry = state.entries.find((e) => e.id === id);
+    if (inFlight?.id === id) inFlight.controller.abort();
+    else if (entry) settleTurn(entry, { aborted: true, message: 'Mission removed from the queue' });
+    dropEntry(id);
+    schedule();
+  },
+
+  retryNow(id) {
+    patchEntry(id, { nextAttemptAt: Date.now() });
+    schedule();
+  },
+
+  /** Moves an entry up (-1) or down (+1) by swapping positions with its neighbour. */
+  move(id, offset) {
+    const index = state.entries.findIndex((e) => e.id === id);
+    const neighbour = state.entries[index + offset];
+    if (index === -1 || !neighbour) return;
+    const entry = state.entries[index];
+    patchEntry(entry.id, { position: neighbour.position });
+    patchEntry(neighbour.id, { position: entry.position });
+  },
+};
@@ -0,0 +1,54 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { RETRY_BACKOFF, backoffDelay, missionQueue } from './mission-queue';
+import { runMission } from './mission-runner';
+import { missionDrafts } from './mission-drafts';
+
+vi.mock('./mission-runner', () => ({ runMission: vi.fn() }));
+vi.mock('./idb', () => ({ put: async () => {}, remove: async () => {}, getAll: async () => [] }));
+
+describe('backoffDelay', () => {
+  it('doubles from the base delay with each attempt', () => {
+    expect([1, 2, 3, 4].map(backoffDelay)).toEqual([5000, 10000, 20000, 40000]);
+  });
+
+  it('treats a mission that has not been tried yet like the first attempt', () => {
+    expect(backoffDelay(0)).toBe(RETRY_BACKOFF.baseMs);
+  });
+
+  it('caps the delay at five minutes', () => {
+    expect(backoffDelay(7)).toBe(RETRY_BACKOFF.maxMs);
+    expect(backoffDelay(50)).toBe(RETRY_BACKOFF.maxMs);
+  });
+});
+
+describe('queued thread turns', () => {
+  afterEach(() => vi.useRealTimers());
+
+  const queueTurn = () => {
+    const tabId = missionDrafts.getSnapshot().activeTabId;
+    const turn = { id: crypto.randomUUID(), prompt: 'Status report', status: 'QUEUED', analysis: '' };
+    missionDrafts.appendTurn(tabId, turn);
+    const entry = missionQueue.enqueue({ prompt: turn.prompt }, 'Network error', { tabId, turnId: turn.id });
+    const current = () => missionDrafts.getSnapshot().tabs.find((tab) => tab.id === tabId).thread.find((t) => t.id === turn.id);
+    return { entry, current };
+  };
+
+  it('answers the turn when the queue delivers the mission', async () => {
+    vi.useFakeTimers();
+    runMission.mockResolvedValueOnce({
+      result: { success: true, message: 'Done', analysis: 'All quiet', report: null },
+      record: { id: 'record-1' },
+    });
+    const { current } = queueTurn();
+
+    await vi.advanceTimersByTimeAsync(RETRY_BACKOFF.baseMs);
+
+    expect(current()).toMatchObject({ status: 'SUCCESS', analysis: 'All quiet', recordId: 'record-1' });
+  });
+
+  it('marks the turn aborted when the mission is removed from the queue', () => {
+    const { entry, current } = queueTurn();
+    missionQueue.cancel(entry.id);
+    expect(current()).toMatchObject({ status: 'ABORTED', message: 'Mission removed from the queue' });
+  });
+});
@@ -0,0 +1,150 @@
+import { z } from 'zod';
+
+export const RISK_SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+export const ACTION_PRIORITIES = ['LOW', 'MEDIUM', 'HIGH'];
+
+const upper = (value) => (typeof value === 'string' ? value.trim().toUpperCase() : value);
+
+// Accepts 0.85, 85, "85%" or "0.85" and normalises to a 0-100 percentage.
+const toPercent = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value));
+  if (Number.isNaN(number)) return value;
+  return number <= 1 && !String(value).includes('%') ? Math.round(number * 100) : Math.round(number);
+};
+
+const RiskSchema = z.union([
+  z.object({
+    description: z.string().min(1),
+    severity: z.preprocess(upper, z.enum(RISK_SEVERITIES)).catch('MEDIUM'),
+  }),
+  z.string().min(1).transform((description) => ({ description, severity: 'MEDIUM' })),
+]);
+
+const ActionSchema = z.union([
+  z.object({
+    action: z.string().min(1),
+    priority: z.preprocess(upper, z.enum(ACTION_PRIORITIES)).optional().catch(undefined),
+  }),
+  z.string().min(1).transform((action) => ({ action })),
+]);
+
+export const MissionReportSchema = z
+  .object({
+    summary: z.string().trim().min(1),
+    keyFindings: z.array(z.string().min(1)).default([]),
+    risks: z.array(RiskSchema).default([]),
+    recommendedActions: z.array(ActionSchema).default([]),
+    confidence: z.preprocess(toPercent, z.number().min(0).max(100).nullable()).default(null).catch(null),
+  })
+  .refine(
+    (report) => report.keyFindings.length + report.risks.length + report.recommendedActions.length > 0,
+    { message: 'Report has a summary but no findings, risks or actions' }
+  );
+
+// Backends disagree on casing; map the common snake_case spellings onto the schema keys.
+const KEY_ALIASES = {
+  key_findings: 'keyFindings',
+  findings: 'keyFindings',
+  recommended_actions: 'recommendedActions',
+  recommendations: 'recommendedActions',
+  actions: 'recommendedActions',
+  threats: 'risks',
+  executive_summary: 'summary',
+};
+
+const normalizeKeys = (raw) =>
+  Object.fromEntries(Object.entries(raw).map(([key, value]) => [KEY_ALIASES[key] || key, value]));
+
+const extractJson = (text) => {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = (fenced ? fenced[1] : text).trim();
+  if (!candidate.startsWith('{')) return null;
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    return null;
+  }
+};
+
+const SECTION_HEADINGS = [
+  [/^(executive\s+)?summary$/i, 'summary'],
+  [/^(key\s+)?findings$/i, 'keyFindings'],
+  [/^(key\s+)?(risks?|threats?)(\s+assessment)?$/i, 'risks'],
+  [/^recommend(ed\s+actions|ations)$/i, 'recommendedActions'],
+  [/^confidence(\s+level)?$/i, 'confidence'],
+];
+
+const HEADING_LINE = /^\s*(?:#{1,6}\s*)?(?:\d+\.\s*)?\*{0,2}([A-Za-z ]+?)\s*(?:\*{0,2}\s*:\s*\*{0,2}|\*{2}|$)\s*(.*)$/;
+const BULLET = /^\s*(?:[-*•]|\d+[.)])\s+/;
+const SEVERITY_TAG = /^\s*[[(]?\s*(LOW|MEDIUM|HIGH|CRITICAL)\s*[\])]?\s*[:\-–]?\s*/i;
+const TRAILING_SEVERITY = /\s*[[(]\s*(?:severity:\s*)?(LOW|MEDIUM|HIGH|CRITICAL)\s*[\])]\s*$/i;
+
+const matchHeading = (line) => {
+  const match = line.match(HEADING_LINE);
+  if (!match) return null;
+  const entry = SECTION_HEADINGS.find(([pattern]) => pattern.test(match[1].trim()));
+  return entry ? { key: entry[1], rest: match[2].trim() } : null;
+};
+
+const toItems = (lines) => {
+  const items = [];
+  lines.forEach((line) => {
+    if (BULLET.test(line)) items.push(line.replace(BULLET, '').trim());
+    else if (items.length) items[items.length - 1] += ` ${line.trim()}`;
+    else items.push(line.trim());
+  });
+  return items.map((item) => item.replace(/\*\*/g, '')).filter(Boolean);
+};
+
+const toRisk = (item) => {
+  const leading = item.match(SEVERITY_TAG);
+  if (leading) return { description: item.slice(leading[0].length).trim(), severity: leading[1] };
+  const trailing = item.match(TRAILING_SEVERITY);
+  if (trailing) return { description: item.slice(0, trailing.index).trim(), severity: trailing[1] };
+  return item;
+};
+
+// Reads the "SUMMARY: / KEY FINDINGS: / RISKS: ..." layout most models fall back to.
+const extractSections = (text) => {
+  const sections = {};
+  let current = null;
+
+  text.split('\n').forEach((line) => {
+    if (!line.trim()) return;
+    const heading = matchHeading(line);
+    if (heading) {
+      current = heading.key;
+      sections[current] = heading.rest ? [heading.rest] : [];
+    } else if (current) {
+      sections[current].push(line);
+    }
+  });
+
+  if (!sections.summary) return null;
+
+  return {
+    summary: sections.summary.join(' ').trim(),
+    keyFindings: toItems(sections.keyFindings || []),
+    risks: toItems(sections.risks || []).map(toRisk),
+    recommendedActions: toItems(sections.recommendedActions || []),
+    confidence: (sections.confidence || []).join(' ').match(/\d+(\.\d+)?\s*%?/)?.[0] ?? null,
+  };
+};
+
+/**
+ * Turns a mission analysis into a validated report. Tries a JSON payload first
+ * (bare or fenced) and then a heading-based text layout. Returns
+ * `{ report: null, error }` when neither validates so callers keep the raw text.
+ */
+export const parseMissionReport = (analysis) => {
+  if (!analysis) return { report: null, error: 'No analysis returned' };
+
+  const raw = typeof analysis === 'string' ? extractJson(analysis) || extractSections(analysis) : analysis;
+  if (!raw || typeof raw !== 'object') return { report: null, error: 'No structured sections found' };
+
+  const parsed = MissionReportSchema.safeParse(normalizeKeys(raw));
+  return parsed.success
+    ? { report: parsed.data, error: null }
+    : { report: null, error: parsed.error.issues[0]?.message || 'Report did not match the schema' };
+};
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { parseMissionReport } from './mission-report';
+
+const SECTIONS = `SUMMARY: Hostile activity near the northern checkpoint.
+KEY FINDINGS:
+- Two vehicles observed at 0400
+- Radio chatter increased
+RISKS:
+- [HIGH] Checkpoint may be probed tonight
+- Supply road flooding (LOW)
+RECOMMENDED ACTIONS:
+- Double the night watch
+CONFIDENCE: 80%`;
+
+describe('parseMissionReport', () => {
+  it('reads the heading-based text layout', () => {
+    const { report, error } = parseMissionReport(SECTIONS);
+    expect(error).toBeNull();
+    expect(report.summary).toBe('Hostile activity near the northern checkpoint.');
+    expect(report.keyFindings).toEqual(['Two vehicles observed at 0400', 'Radio chatter increased']);
+    expect(report.risks).toEqual([
+      { description: 'Checkpoint may be probed tonight', severity: 'HIGH' },
+      { description: 'Supply road flooding', severity: 'LOW' },
+    ]);
+    expect(report.recommendedActions).toEqual([{ action: 'Double the night watch' }]);
+    expect(report.confidence).toBe(80);
+  });
+
+  it('prefers a fenced JSON payload and normalises its values', () => {
+    const analysis = [
+      'Here is the report:',
+      '```json',
+      JSON.stringify({
+        summary: 'All quiet',
+        key_findings: ['No movement'],
+        risks: [{ description: 'Sensor gap', severity: 'critical' }, 'Unrated risk'],
+        confidence: 0.85,
+      }),
+      '```',
+    ].join('\n');
+    const { report } = parseMissionReport(analysis);
+    expect(report.keyFindings).toEqual(['No movement']);
+    expect(report.risks).toEqual([
+      { description: 'Sensor gap', severity: 'CRITICAL' },
+      { description: 'Unrated risk', severity: 'MEDIUM' },
+    ]);
+    expect(report.confidence).toBe(85);
+  });
+
+  it.each([150, 'high', -5])('drops an unreadable confidence (%j) but keeps the report', (confidence) => {
+    const { report } = parseMissionReport({ summary: 'S', keyFindings: ['K'], confidence });
+    expect(report.confidence).toBeNull();
+  });
+
+  it('rejects a summary with nothing else', () => {
+    expect(parseMissionReport({ summary: 'Only a summary' })).toEqual({
+      report: null,
+      error: 'Report has a summary but no findings, risks or actions',
+    });
+  });
+
+  it('keeps free text it cannot structure as an error', () => {
+    expect(parseMissionReport('Just some prose.').report).toBeNull();
+    expect(parseMissionReport('').error).toBe('No analysis returned');
+  });
+});
@@ -0,0 +1,126 @@
+import { missionHistory } from './mission-history';
+import { operationsStore } from './operations-store';
+import { agentRegistry } from './agent-registry';
+import { parseMissionReport } from './mission-report';
+import { canRelease, classificationStore } from './classification';
+import { activeProvider, executeWithProvider, providerMaxLevel } from './providers';
+import { attachmentMeta } from './attachments';
+import { currentRole, hasPermission } from './auth';
+import { deniedMessage } from './permissions';
+
+const missionLabel = (prompt) => {
+  const firstLine = prompt.trim().split('\n')[0];
+  return firstLine.length > 40 ? `${firstLine.slice(0, 40)}…` : firstLine;
+};
+
+const failureResult = (error, partial) => {
+  if (error.name === 'AbortError') {
+    return { success: false, aborted: true, message: 'Mission stopped by operator', analysis: partial };
+  }
+  // Server-side (5xx) and network failures are worth retrying later; 4xx are not.
+  if (error.name === 'ApiError') {
+    return { success: false, retryable: error.status >= 500, message: error.message, analysis: partial };
+  }
+  return { success: false, retryable: true, message: `Network error: ${error.message}`, analysis: partial };
+};
+
+const blockedResult = (classification) => ({
+  success: false,
+  blocked: true,
+  message: `Mission marked ${classification} exceeds the ${activeProvider().provider.label} maximum of ${providerMaxLevel()}; not sent`,
+  analysis: '',
+});
+
+const deniedResult = () => ({
+  success: false,
+  blocked: true,
+  message: `${deniedMessage(currentRole(), 'missions.execute')}; not sent`,
+  analysis: '',
+});
+
+/**
+ * Runs one mission end to end (agent status, provider, report, history, operation), refusing
+ * it up front when the role or the marking doesn't allow it. Never throws; with
+ * `deferRetryable`, network and 5xx failures come back unrecorded (`record: null`) for a retry.
+ */
+export const runMission = async ({
+  prompt,
+  history = [],
+  attachments = [],
+  threadId = null,
+  agentId = null,
+  operationId = null,
+  missionType = null,
+  classification = classificationStore.getSnapshot().defaultLevel,
+  deferRetryable = false,
+  signal,
+  onToken,
+}) => {
+  const startedAt = new Date();
+  let result = null;
+  let reassignments = [];
+  if (!hasPermission('missions.execute')) result = deniedResult();
+  else if (!canRelease(classification, providerMaxLevel())) result = blockedResult(classification);
+
+  if (!result) {
+    const releaseAgent = agentId ? agentRegistry.assignMission(agentId, missionLabel(prompt)) : null;
+    let partial = '';
+
+    try {
+      const { message, analysis, provider, model } = await executeWithProvider({
+        prompt,
+        history,
+        attachments,
+        agentId,
+        signal,
+        onToken: (token, soFar) => {
+          partial = soFar;
+          onToken?.(token, soFar);
+        },
+      });
+      result = { success: true, message, analysis, provider, model, report: parseMissionReport(analysis).report };
+    } catch (error) {
+      result = failureResult(error, partial);
+    } finally {
+      reassignments = releaseAgent?.() ?? [];
+    }
+  }
+
+  if (deferRetryable && result.retryable) return { result, record: null };
+
+  const completedAt = new Date();
+  const record = await missionHistory.record({
+    operationId,
+    agentId,
+    reassignments,
+    threadId,
+    missionType,
+    classification,
+    provider: result.provider || null,
+    model: result.model || null,
+    prompt,
+    attachments: attachments.map(attachmentMeta),
+    response: result.analysis || '',
+    report: result.report || null,
+    message: result.message,
+    status: result.success ? 'SUCCESS' : result.aborted ? 'ABORTED' : result.blocked ? 'BLOCKED' : 'FAILED',
+    startedAt: startedAt.toISOString(),
+    completedAt: completedAt.toISOString(),
+    durationMs: completedAt - startedAt,
+  });
+
+  if (operationId) {
+    operationsStore
+      .attachMission(operationId, {
+        id: record.id,
+        agentId,
+        classification,
+        prompt,
+        status: record.status,
+        completedAt: record.completedAt,
+      })
+      .catch(() => {});
+  }
+
+  return { result, record };
+};
@@ -0,0 +1,127 @@
+import { apiUrl, readError } from './api';
+import { authHeaders } from './auth';
+
+// Pull the text fragment out of a streamed event, whatever shape the backend sends.
+const tokenFrom = (payload) => {
+  if (typeof payload === 'string') return payload;
+  return payload.token ?? payload.delta ?? payload.text ?? payload.content ?? '';
+};
+
+export const parseData = (data) => {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+};
+
+// Splits a text/event-stream body into { event, data } records.
+export async function* readEvents(reader) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = done ? '' : blocks.pop();
+
+    for (const block of blocks) {
+      let event = 'message';
+      const data = [];
+      for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+      }
+      if (data.length) yield { event, data: data.join('\n') };
+    }
+
+    if (done) return;
+  }
+}
+
+const missionForm = (fields, attachments) => {
+  const form = new FormData();
+  Object.entries(fields).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) form.append(name, typeof value === 'string' ? value : JSON.stringify(value));
+  });
+  form.append('extracted', JSON.stringify(attachments.map(({ name, kind, text }) => ({ name, kind, text }))));
+  attachments.forEach(({ file, name }) => form.append('attachments', file, name));
+  return form;
+};
+
+/**
+ * Executes a mission and streams the analysis as it is generated.
+ * Accepts SSE, a chunked plain-text body, or the original one-shot JSON response.
+ * `agentId` routes the mission to a specific agent and `model` picks the backend model when set.
+ * `history` carries earlier turns of a follow-up thread as `{ role, content }` messages.
+ * With `attachments` the request goes out as multipart/form-data: one `attachments` part
+ * per file plus an `extracted` JSON part with the text already pulled out client-side.
+ * Resolves with { message, analysis }; aborting via `signal` rejects with an AbortError.
+ */
+export const streamMission = async ({ mission, history = [], attachments = [], agentId, model, signal, onToken = () => {} }) => {
+  const fields = { mission, history, agentId, model, stream: true };
+  const response = await fetch(apiUrl('/api/mission/execute'), {
+    method: 'POST',
+    headers: {
+      // The browser sets the multipart boundary itself.
+      ...(attachments.length ? {} : { 'Content-Type': 'application/json' }),
+      Accept: 'text/event-stream, text/plain, application/json',
+      ...authHeaders(),
+    },
+    body: attachments.length ? missionForm(fields, attachments) : JSON.stringify(fields),
+    signal,
+  });
+
+  if (!response.ok) throw await readError(response);
+
+  const contentType = response.headers.get('Content-Type') || '';
+
+  if (contentType.includes('application/json') || !response.body) {
+    const data = await response.json();
+    const analysis = data.mission?.ai_analysis ?? '';
+    onToken(analysis, analysis);
+    return { message: data.message, analysis };
+  }
+
+  const reader = response.body.getReader();
+  let analysis = '';
+  let message = 'Mission executed successfully';
+
+  const append = (token) => {
+    if (!token) return;
+    analysis += token;
+    onToken(token, analysis);
+  };
+
+  try {
+    if (contentType.includes('text/event-stream')) {
+      for await (const { event, data } of readEvents(reader)) {
+        if (data === '[DONE]') break;
+        const payload = parseData(data);
+
+        if (event === 'error') {
+          throw new Error(payload.error || payload.message || String(payload));
+        }
+        if (event === 'done') {
+          message = payload.message || message;
+          analysis = payload.mission?.ai_analysis ?? analysis;
+          break;
+        }
+        append(tokenFrom(payload));
+      }
+    } else {
+      const decoder = new TextDecoder();
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        append(decoder.decode(value, { stream: true }));
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+
+  return { message, analysis };
+};
@@ -0,0 +1,50 @@
+// A mission thread is the list of turns in a draft tab: the first tasking and every
+// follow-up, each with the analysis it produced.
+
+// Older turns are dropped from the context sent to the provider beyond this many.
+const MAX_CONTEXT_TURNS = 6;
+
+export const resultStatus = (result) => {
+  if (result.success) return 'SUCCESS';
+  if (result.queued) return 'QUEUED';
+  if (result.blocked) return 'BLOCKED';
+  return result.aborted ? 'ABORTED' : 'FAILED';
+};
+
+export const createTurn = ({ prompt, attachments = [], status, result, record }) => ({
+  id: record?.id || crypto.randomUUID(),
+  prompt,
+  attachments,
+  status,
+  message: result.message,
+  analysis: result.analysis || '',
+  report: result.report || null,
+  recordId: record?.id || null,
+  createdAt: new Date().toISOString(),
+});
+
+// Attachment contents are not resent with follow-ups; the earlier answer stands in for them.
+const turnPrompt = ({ prompt, attachments = [] }) =>
+  attachments.length ? `${prompt}\n[Attached: ${attachments.map(({ name }) => name).join(', ')}]` : prompt;
+
+/** Prior turns as chat messages; only answered turns are worth sending back. */
+export const threadHistory = (turns) =>
+  turns
+    .filter((turn) => turn.status === 'SUCCESS')
+    .slice(-MAX_CONTEXT_TURNS)
+    .flatMap((turn) => [
+      { role: 'user', content: turnPrompt(turn) },
+      { role: 'assistant', content: turn.analysis },
+    ]);
+
+/** Folds the history into a single prompt for backends that only take one. */
+export const threadPrompt = (history, prompt) => {
+  if (!history?.length) return prompt;
+  const transcript = history.map(({ role, content }) => `${role === 'user' ? 'OPERATOR' : 'ANALYST'}:\n${content}`);
+  return [
+    'Previous exchanges in this mission:',
+    ...transcript,
+    'Follow-up from the operator; answer in the context above:',
+    prompt,
+  ].join('\n\n');
+};
@@ -0,0 +1,82 @@
+import { attachmentPrompt } from './attachments';
+
+// Offline analyst used by the "Local mock" provider: no network, deterministic-ish output
+// in the section layout the structured report parser understands.
+
+const TOKEN_DELAY_MS = 15;
+
+const pick = (list, seed) => list[seed % list.length];
+
+const seedFrom = (text) => [...text].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 9973, 7);
+
+const FINDINGS = [
+  'Movement patterns in the area are consistent with routine logistics traffic',
+  'Communications volume has risen over the last reporting period',
+  'No confirmed hostile presence within the primary objective area',
+  'Secondary routes remain passable but unmonitored',
+  'Open-source reporting corroborates the initial assessment',
+];
+
+const RISKS = [
+  '[HIGH] Limited ISR coverage during night hours',
+  '[MEDIUM] Weather may degrade ground mobility within 48 hours',
+  '[LOW] Civilian traffic could mask adversary movement',
+  '[CRITICAL] Single point of failure in the communications relay',
+];
+
+const ACTIONS = [
+  'Task additional ISR assets to cover the night window',
+  'Pre-position a backup communications relay',
+  'Re-validate secondary routes before committing forces',
+  'Schedule a follow-up assessment in 24 hours',
+];
+
+export const composeMockAnalysis = (prompt, agentId, history = []) => {
+  const seed = seedFrom(prompt) + history.length;
+  const subject = prompt.trim().split('\n')[0].slice(0, 80);
+  const kind = history.length ? `follow-up (turn ${history.length / 2 + 1}) on` : 'assessment of';
+  return [
+    'SUMMARY:',
+    `${agentId || 'Mock analyst'} ${kind} "${subject}". Generated locally by the mock provider; no data left this device.`,
+    '',
+    'KEY FINDINGS:',
+    ...[0, 1, 2].map((offset) => `- ${pick(FINDINGS, seed + offset)}`),
+    '',
+    'RISKS:',
+    ...[0, 1].map((offset) => `- ${pick(RISKS, seed + offset)}`),
+    '',
+    'RECOMMENDED ACTIONS:',
+    ...[0, 1].map((offset) => `- ${pick(ACTIONS, seed + offset)}`),
+    '',
+    `CONFIDENCE: ${55 + (seed % 40)}%`,
+  ].join('\n');
+};
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Mission aborted', 'AbortError'));
+    };
+    // Drop the listener once the delay passes, or a long mission piles one up per word.
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+/** Streams a canned analysis word by word; honours `signal` like a real request. */
+export const runMockMission = async ({ prompt, history, attachments, agentId, signal, onToken = () => {} }) => {
+  const words = composeMockAnalysis(attachmentPrompt(prompt, attachments), agentId, history).split(/(?<=\s)/);
+  let analysis = '';
+
+  for (const word of words) {
+    if (signal?.aborted) throw new DOMException('Mission aborted', 'AbortError');
+    await wait(TOKEN_DELAY_MS, signal);
+    analysis += word;
+    onToken(word, analysis);
+  }
+
+  return { message: 'Mission analysed by the local mock provider', analysis };
+};
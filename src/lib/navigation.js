@@ -0,0 +1,11 @@
+// Top-level pages, in navigation order. Shared by the sidebar, breadcrumbs and palette.
+export const NAV_ITEMS = [
+  { path: '/', label: 'Dashboard' },
+  { path: '/missions', label: 'Missions' },
+  { path: '/operations', label: 'Operations' },
+  { path: '/agents', label: 'Agents' },
+  { path: '/settings', label: 'Settings' },
+];
+
+/** Whether `path` is the current page or an ancestor of it. */
+export const isActivePath = (path, pathname) => (path === '/' ? pathname === '/' : pathname.startsWith(path));
@@ -0,0 +1,57 @@
+// Chronological view of an operation: lifecycle changes and task completions from its
+// audit trail, plus every mission run against it (attached on the server or only in
+// local history).
+
+const auditItem = (entry) => {
+  switch (entry.action) {
+    case 'CREATED':
+      return { kind: 'status', label: `Created in ${entry.to}` };
+    case 'STATUS_CHANGED':
+      return { kind: 'status', label: `${entry.from} → ${entry.to}`, detail: entry.note || null };
+    case 'TASK_COMPLETED':
+      return { kind: 'task', label: `Task completed: ${entry.title}` };
+    case 'TASK_REOPENED':
+      return { kind: 'task', label: `Task reopened: ${entry.title}` };
+    default:
+      // Field edits and MISSION_ATTACHED (covered by the mission items) stay out of the timeline.
+      return null;
+  }
+};
+
+const missionItem = (mission) => ({
+  at: mission.completedAt || mission.startedAt,
+  kind: 'mission',
+  status: mission.status,
+  label: `${mission.status} · ${mission.agentId || 'default endpoint'}`,
+  detail: mission.prompt,
+  missionId: mission.id,
+});
+
+/** Timeline items `{ at, kind, label, detail, status?, missionId? }`, newest first. */
+export const operationTimeline = (operation, history = []) => {
+  const audit = (operation.history || [])
+    .map((entry) => {
+      const item = auditItem(entry);
+      return item && { at: entry.at, detail: null, ...item };
+    })
+    .filter(Boolean);
+
+  const local = history.filter((mission) => mission.operationId === operation.id);
+  const remote = (operation.missions || []).filter((mission) => !local.some((entry) => entry.id === mission.id));
+
+  return [...audit, ...[...local, ...remote].map(missionItem)]
+    .filter((item) => item.at)
+    .sort((a, b) => b.at.localeCompare(a.at));
+};
+
+/** Agents on an operation: the assigned ones, then any that ran its missions. */
+export const operationAgents = (operation, history = []) => {
+  const assigned = operation.agents || [];
+  const contributed = [
+    ...(operation.missions || []),
+    ...history.filter((mission) => mission.operationId === operation.id),
+  ]
+    .map((mission) => mission.agentId)
+    .filter((id) => id && !assigned.includes(id));
+  return { assigned, contributed: [...new Set(contributed)] };
+};
@@ -0,0 +1,41 @@
+import { apiUrl, readError } from './api';
+import { authHeaders } from './auth';
+
+const request = async (path, { method = 'GET', body } = {}) => {
+  const response = await fetch(apiUrl(`/api/operations${path}`), {
+    method,
+    headers: { ...(body ? { 'Content-Type': 'application/json' } : {}), ...authHeaders() },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!response.ok) throw await readError(response);
+  return response.json();
+};
+
+export const listOperations = async () => (await request('')).operations;
+
+export const createOperation = async (fields) =>
+  (await request('', { method: 'POST', body: fields })).operation;
+
+export const updateOperation = async (id, fields) =>
+  (await request(`/${id}`, { method: 'PATCH', body: fields })).operation;
+
+export const transitionOperation = async (id, status, note) =>
+  (await request(`/${id}/transition`, { method: 'POST', body: { status, note } })).operation;
+
+export const attachMission = async (id, mission) =>
+  (await request(`/${id}/missions`, { method: 'POST', body: { mission } })).operation;
+
+export const addTask = async (id, title) =>
+  (await request(`/${id}/tasks`, { method: 'POST', body: { title } })).operation;
+
+export const setTaskDone = async (id, taskId, done) =>
+  (await request(`/${id}/tasks/${taskId}`, { method: 'PATCH', body: { done } })).operation;
+
+export const removeTask = async (id, taskId) =>
+  (await request(`/${id}/tasks/${taskId}`, { method: 'DELETE' })).operation;
+
+export const assignAgent = async (id, agentId) =>
+  (await request(`/${id}/agents`, { method: 'POST', body: { agentId } })).operation;
+
+export const unassignAgent = async (id, agentId) =>
+  (await request(`/${id}/agents/${encodeURIComponent(agentId)}`, { method: 'DELETE' })).operation;
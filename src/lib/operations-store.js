@@ -0,0 +1,87 @@
+import * as operationsApi from './operations-api';
+import { currentRole, hasPermission } from './auth';
+import { deniedMessage, transitionPermission } from './permissions';
+
+let state = { operations: [], loading: false, error: null };
+let loaded = false;
+const listeners = new Set();
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  listeners.forEach((listener) => listener());
+};
+
+const replace = (operation) => {
+  const exists = state.operations.some((op) => op.id === operation.id);
+  setState({
+    operations: exists
+      ? state.operations.map((op) => (op.id === operation.id ? operation : op))
+      : [...state.operations, operation],
+  });
+  return operation;
+};
+
+// Surface failures on the store and rethrow so callers can react too.
+const mutate = async (call) => {
+  try {
+    const operation = await call();
+    setState({ error: null });
+    return replace(operation);
+  } catch (error) {
+    setState({ error: error.message });
+    throw error;
+  }
+};
+
+const requirePermission = (permission) => {
+  if (!hasPermission(permission)) throw new Error(deniedMessage(currentRole(), permission));
+};
+
+const edit = (call) =>
+  mutate(async () => {
+    requirePermission('operations.edit');
+    return call();
+  });
+
+export const operationsStore = {
+  subscribe(listener) {
+    listeners.add(listener);
+    if (!loaded) operationsStore.refresh();
+    return () => listeners.delete(listener);
+  },
+
+  getSnapshot: () => state,
+
+  async refresh() {
+    loaded = true;
+    setState({ loading: true });
+    try {
+      setState({ operations: await operationsApi.listOperations(), loading: false, error: null });
+    } catch (error) {
+      setState({ loading: false, error: error.message });
+    }
+  },
+
+  create: (fields) => edit(() => operationsApi.createOperation(fields)),
+
+  update: (id, fields) => edit(() => operationsApi.updateOperation(id, fields)),
+
+  // Single checklist and assignment changes, applied by the server to its current copy.
+  addTask: (id, title) => edit(() => operationsApi.addTask(id, title)),
+
+  setTaskDone: (id, taskId, done) => edit(() => operationsApi.setTaskDone(id, taskId, done)),
+
+  removeTask: (id, taskId) => edit(() => operationsApi.removeTask(id, taskId)),
+
+  assignAgent: (id, agentId) => edit(() => operationsApi.assignAgent(id, agentId)),
+
+  unassignAgent: (id, agentId) => edit(() => operationsApi.unassignAgent(id, agentId)),
+
+  transition: (id, status, note) =>
+    mutate(async () => {
+      requirePermission(transitionPermission(status));
+      return operationsApi.transitionOperation(id, status, note);
+    }),
+
+  attachMission: (id, mission) => mutate(() => operationsApi.attachMission(id, mission)),
+};
@@ -0,0 +1,35 @@
+// Operation lifecycle rules, shared by the client store and the dev mock server.
+
+export const OPERATION_TYPES = ['TACTICAL', 'INTELLIGENCE', 'ASSESSMENT', 'SECURITY', 'LOGISTICS'];
+
+export const OPERATION_TRANSITIONS = {
+  PLANNING: ['ACTIVE', 'ABORTED'],
+  ACTIVE: ['COMPLETED', 'ABORTED'],
+  COMPLETED: [],
+  ABORTED: [],
+};
+
+export const canTransition = (from, to) => OPERATION_TRANSITIONS[from]?.includes(to) ?? false;
+
+export const isTerminal = (status) => OPERATION_TRANSITIONS[status]?.length === 0;
+
+export const computeProgress = (operation) => {
+  const tasks = operation.tasks || [];
+  if (tasks.length === 0) return operation.status === 'COMPLETED' ? 100 : 0;
+  return Math.round((tasks.filter((task) => task.done).length / tasks.length) * 100);
+};
+
+// Mission-elapsed window: from the last move into ACTIVE until it left ACTIVE (or now).
+export const activeWindow = (operation) => {
+  const history = operation.history || [];
+  const startIndex = history.findLastIndex((entry) => entry.action === 'STATUS_CHANGED' && entry.to === 'ACTIVE');
+  if (startIndex === -1) return null;
+  const end = history.slice(startIndex + 1).find((entry) => entry.action === 'STATUS_CHANGED');
+  return { start: new Date(history[startIndex].at), end: end ? new Date(end.at) : null };
+};
+
+export const auditEntry = (action, details = {}) => ({
+  at: new Date().toISOString(),
+  action,
+  ...details,
+});
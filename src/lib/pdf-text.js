@@ -0,0 +1,72 @@
+// Best-effort text extraction from PDFs without a PDF library: walks the content
+// streams, inflates Flate-compressed ones and collects the strings shown by the
+// Tj/TJ/'/" operators. Good enough for exported reports and logs; scanned pages
+// and CID fonts without a usable encoding yield nothing.
+
+const STREAM = /<<((?:[^<>]|<<(?:[^<>]|<<[^<>]*>>)*>>|<[^<>]*>)*)>>\s*stream\r?\n/g;
+const TEXT_OBJECT = /BT\b([\s\S]*?)\bET\b/g;
+const SHOW_OPERATOR = /(\[(?:\\.|[^\]\\])*\])\s*TJ|(\((?:\\.|[^\\)])*\))\s*(?:Tj|'|")/g;
+const LITERAL = /\((?:\\.|[^\\)])*\)/g;
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+const decodeLiteral = (literal) =>
+  literal
+    .slice(1, -1)
+    .replace(/\\([0-7]{1,3}|[\s\S])/g, (match, code) => {
+      if (/^[0-7]+$/.test(code)) return String.fromCharCode(parseInt(code, 8));
+      if (code === '\n' || code === '\r') return '';
+      return ESCAPES[code] ?? code;
+    });
+
+const inflate = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const latin1 = new TextDecoder('latin1');
+
+// Each text object becomes a line; strings inside one TJ array are concatenated.
+const textFromContent = (content) => {
+  const lines = [];
+  for (const [, block] of content.matchAll(TEXT_OBJECT)) {
+    const parts = [];
+    for (const [, array, literal] of block.matchAll(SHOW_OPERATOR)) {
+      parts.push(array ? (array.match(LITERAL) || []).map(decodeLiteral).join('') : decodeLiteral(literal));
+    }
+    const line = parts.join(' ').trim();
+    if (line) lines.push(line);
+  }
+  return lines;
+};
+
+/** Resolves with the text found in `buffer` (an ArrayBuffer of a PDF file); '' when there is none. */
+export const extractPdfText = async (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  // One character per byte, so string offsets are byte offsets.
+  const source = latin1.decode(bytes);
+  const lines = [];
+
+  for (const match of source.matchAll(STREAM)) {
+    const dictionary = match[1];
+    const start = match.index + match[0].length;
+    const end = source.indexOf('endstream', start);
+    if (end < 0) break;
+    // Images, fonts and anything not plainly or Flate encoded carry no readable text.
+    if (/\/Subtype\s*\/(Image|Type1C|CIDFontType0C)|\/Length1/.test(dictionary)) continue;
+    const filters = dictionary.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1] || '';
+    if (filters && filters.replace(/[[\]\s]/g, '') !== '/FlateDecode') continue;
+
+    try {
+      // Prefer the declared length: browsers reject inflating the EOL before `endstream` as trailing junk.
+      const length = Number(dictionary.match(/\/Length\s+(\d+)\b(?!\s+\d+\s+R)/)?.[1]);
+      const data = bytes.subarray(start, length && start + length <= end ? start + length : end);
+      const content = latin1.decode(filters ? await inflate(data) : data);
+      lines.push(...textFromContent(content));
+    } catch {
+      // Damaged or truncated stream; keep what the other streams give.
+    }
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,23 @@
+// Role-based permissions matrix. Each role adds to the one before it; the API enforces
+// the same rules, so these only decide which controls the UI offers.
+
+export const ROLES = ['viewer', 'analyst', 'operator', 'commander', 'admin'];
+
+export const DEFAULT_ROLE = 'viewer';
+
+export const PERMISSIONS = {
+  'missions.execute': { label: 'Execute missions', roles: ['analyst', 'operator', 'commander', 'admin'] },
+  'quickActions.run': { label: 'Run quick actions', roles: ['analyst', 'operator', 'commander', 'admin'] },
+  'operations.edit': { label: 'Create and edit operations', roles: ['operator', 'commander', 'admin'] },
+  'operations.transition': { label: 'Change operation state', roles: ['operator', 'commander', 'admin'] },
+  'operations.abort': { label: 'Abort operations', roles: ['commander', 'admin'] },
+  'system.config': { label: 'SYSTEM CONFIG', roles: ['admin'] },
+};
+
+export const can = (role, permission) => PERMISSIONS[permission]?.roles.includes(role) ?? false;
+
+/** Aborting is its own permission; every other state change shares one. */
+export const transitionPermission = (status) => (status === 'ABORTED' ? 'operations.abort' : 'operations.transition');
+
+export const deniedMessage = (role, permission) =>
+  `Role ${role.toUpperCase()} lacks permission: ${PERMISSIONS[permission].label}`;
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { PERMISSIONS, ROLES, can, deniedMessage, transitionPermission } from './permissions';
+
+describe('permission matrix', () => {
+  it('gives each role everything the role before it has', () => {
+    ROLES.slice(1).forEach((role, index) => {
+      const previous = ROLES[index];
+      Object.keys(PERMISSIONS)
+        .filter((permission) => can(previous, permission))
+        .forEach((permission) => expect(can(role, permission), `${role} ${permission}`).toBe(true));
+    });
+  });
+
+  it.each([
+    ['viewer', []],
+    ['analyst', ['missions.execute', 'quickActions.run']],
+    ['operator', ['missions.execute', 'quickActions.run', 'operations.edit', 'operations.transition']],
+    ['commander', ['missions.execute', 'quickActions.run', 'operations.edit', 'operations.transition', 'operations.abort']],
+    ['admin', Object.keys(PERMISSIONS)],
+  ])('%s may %j', (role, allowed) => {
+    expect(Object.keys(PERMISSIONS).filter((permission) => can(role, permission))).toEqual(allowed);
+  });
+
+  it('denies unknown roles and permissions', () => {
+    expect(can('intruder', 'missions.execute')).toBe(false);
+    expect(can('admin', 'missions.delete')).toBe(false);
+  });
+
+  it('keeps aborting apart from other state changes', () => {
+    expect(transitionPermission('ABORTED')).toBe('operations.abort');
+    expect(transitionPermission('ACTIVE')).toBe('operations.transition');
+    expect(transitionPermission('COMPLETED')).toBe('operations.transition');
+  });
+
+  it('names the role and the missing permission', () => {
+    expect(deniedMessage('viewer', 'missions.execute')).toBe('Role VIEWER lacks permission: Execute missions');
+  });
+});
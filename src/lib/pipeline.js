@@ -0,0 +1,75 @@
+// Sequential multi-agent pipelines. Step prompts may reference earlier output:
+// {{previous}} is the step before, {{step1}} … {{stepN}} address any step by position.
+
+export const DEFAULT_PIPELINE = [
+  {
+    agentId: 'INTEL-01',
+    template: 'Gather intelligence on recent activities in the designated area. Provide a summary of key findings and potential implications.',
+  },
+  {
+    agentId: 'TACTICAL-02',
+    template: 'Using this intelligence summary, develop a tactical plan including resource allocation, movement strategies, and contingency measures:\n\n{{previous}}',
+  },
+  {
+    agentId: 'SECURITY-06',
+    template: 'Assess the threats to the following tactical plan. Identify potential hostile elements and recommend countermeasures:\n\n{{previous}}',
+  },
+];
+
+export const createStep = (fields = {}) => ({ id: crypto.randomUUID(), agentId: '', template: '', ...fields });
+
+export const renderStepPrompt = (template, outputs) =>
+  template.replace(/\{\{\s*(previous|step(\d+))\s*\}\}/g, (match, name, position) => {
+    if (name === 'previous') return outputs[outputs.length - 1] ?? '';
+    return outputs[Number(position) - 1] ?? match;
+  });
+
+/**
+ * Runs steps in order, retrying each failed step up to `maxRetries` times.
+ * `runStep(step, prompt)` resolves with `{ success, aborted, blocked, analysis, message }`;
+ * aborted and classification-blocked steps are never retried.
+ * A step that still fails (or is aborted) halts the pipeline; later steps are SKIPPED.
+ */
+export const runPipeline = async ({ steps, maxRetries = 0, runStep, onUpdate }) => {
+  const outputs = [];
+  const states = steps.map((step) => ({ stepId: step.id, status: 'PENDING', attempts: 0, prompt: '', output: '', message: '' }));
+  const update = (index, patch) => {
+    states[index] = { ...states[index], ...patch };
+    onUpdate([...states]);
+  };
+
+  for (let index = 0; index < steps.length; index += 1) {
+    const prompt = renderStepPrompt(steps[index].template, outputs);
+    let result = null;
+
+    while (states[index].attempts <= maxRetries) {
+      update(index, { status: 'RUNNING', attempts: states[index].attempts + 1, prompt });
+      result = await runStep(steps[index], prompt);
+      if (result.success || result.aborted || result.blocked) break;
+      update(index, { status: 'RETRYING', message: result.message });
+    }
+
+    if (!result.success) {
+      update(index, { status: result.aborted ? 'ABORTED' : 'FAILED', output: result.analysis || '', message: result.message });
+      for (let rest = index + 1; rest < steps.length; rest += 1) update(rest, { status: 'SKIPPED' });
+      return { success: false, states };
+    }
+
+    outputs.push(result.analysis);
+    update(index, { status: 'SUCCESS', output: result.analysis, message: result.message });
+  }
+
+  return { success: true, states };
+};
+
+export const buildPipelineReport = (steps, states) =>
+  steps
+    .map((step, index) => {
+      const state = states[index];
+      return [
+        `## STEP ${index + 1} · ${step.agentId || 'AUTO'} · ${state.status}`,
+        '',
+        state.output || state.message || '(no output)',
+      ].join('\n');
+    })
+    .join('\n\n');
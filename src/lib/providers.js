@@ -0,0 +1,233 @@
+import { apiUrl, readError } from './api';
+import { authHeaders } from './auth';
+import { parseData, readEvents, streamMission } from './mission-stream';
+import { runMockMission } from './mock-provider';
+import { threadPrompt } from './mission-thread';
+import { attachmentPrompt } from './attachments';
+import { classificationStore } from './classification';
+
+const STORAGE_KEY = 'agentcy.provider';
+
+// Friendly names for the loading text; unknown models are shown as-is.
+const MODEL_LABELS = {
+  'gemini-2.5-flash': 'Gemini Flash 2.5',
+  'gemini-2.5-pro': 'Gemini Pro 2.5',
+  'gpt-4o': 'GPT-4o',
+  'gpt-4o-mini': 'GPT-4o mini',
+  'mock-analyst': 'Local mock analyst',
+};
+
+export const modelLabel = (model) => MODEL_LABELS[model] || model || 'AI';
+
+const SYSTEM_PROMPT = [
+  'You are a military intelligence analyst supporting the AGENTCY.ONE command center.',
+  'Answer with these sections: SUMMARY, KEY FINDINGS (bullets), RISKS (bullets prefixed with',
+  '[LOW], [MEDIUM], [HIGH] or [CRITICAL]), RECOMMENDED ACTIONS (bullets) and CONFIDENCE (percentage).',
+].join(' ');
+
+// Legacy contract from the first prototype: `{ question }` in, `{ answer }` out, no streaming.
+const askQuestion = async ({ prompt, history, attachments, signal, onToken = () => {} }) => {
+  const response = await fetch(apiUrl('/api/ask'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ question: threadPrompt(history, attachmentPrompt(prompt, attachments)) }),
+    signal,
+  });
+  if (!response.ok) throw await readError(response);
+
+  const data = await response.json();
+  const analysis = data.answer ?? '';
+  onToken(analysis, analysis);
+  return { message: 'Answer received', analysis };
+};
+
+const dataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+// Text attachments are inlined; images go along as vision content parts.
+const chatUserContent = async (prompt, attachments = []) => {
+  const text = attachmentPrompt(prompt, attachments);
+  const images = attachments.filter((attachment) => attachment.kind === 'image');
+  if (images.length === 0) return text;
+  return [
+    { type: 'text', text },
+    ...await Promise.all(images.map(async ({ file }) => ({ type: 'image_url', image_url: { url: await dataUrl(file) } }))),
+  ];
+};
+
+const chatCompletion = async ({ prompt, history = [], attachments, agentId, model, settings, signal, onToken = () => {} }) => {
+  const response = await fetch(`${settings.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {}),
+    },
+    body: JSON.stringify({
+      model,
+      stream: true,
+      messages: [
+        { role: 'system', content: agentId ? `${SYSTEM_PROMPT} You are acting as agent ${agentId}.` : SYSTEM_PROMPT },
+        ...history,
+        { role: 'user', content: await chatUserContent(prompt, attachments) },
+      ],
+    }),
+    signal,
+  });
+  if (!response.ok) throw await readError(response);
+
+  // Some compatible servers ignore `stream` and answer with a single completion.
+  const contentType = response.headers.get('Content-Type') || '';
+  if (contentType.includes('application/json') || !response.body) {
+    const data = await response.json();
+    const analysis = data.choices?.[0]?.message?.content ?? '';
+    onToken(analysis, analysis);
+    return { message: `Completed by ${modelLabel(model)}`, analysis };
+  }
+
+  const reader = response.body.getReader();
+  let analysis = '';
+  try {
+    for await (const { data } of readEvents(reader)) {
+      if (data === '[DONE]') break;
+      const token = parseData(data).choices?.[0]?.delta?.content;
+      if (!token) continue;
+      analysis += token;
+      onToken(token, analysis);
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return { message: `Completed by ${modelLabel(model)}`, analysis };
+};
+
+/**
+ * Mission execution backends. Each adapter takes
+ * `{ prompt, history, attachments, agentId, model, settings, signal, onToken }` and resolves with
+ * `{ message, analysis }`, rejecting with an AbortError when `signal` fires.
+ * `history` holds the earlier turns of a mission thread as `{ role, content }` messages;
+ * `attachments` are the files read by `readAttachments`. `external` providers leave the
+ * accredited backend, so they only receive the lowest marking unless configured otherwise.
+ */
+export const PROVIDERS = [
+  {
+    id: 'mission',
+    label: 'Mission endpoint',
+    description: 'AGENTCY.ONE backend at /api/mission/execute (streaming).',
+    models: ['gemini-2.5-flash', 'gemini-2.5-pro'],
+    execute: ({ prompt, history, attachments, agentId, model, signal, onToken }) =>
+      streamMission({ mission: prompt, history, attachments, agentId, model, signal, onToken }),
+  },
+  {
+    id: 'ask',
+    label: 'Legacy /api/ask',
+    description: 'Original prototype contract: { question } → { answer }.',
+    models: ['default'],
+    execute: askQuestion,
+  },
+  {
+    id: 'openai',
+    label: 'OpenAI-compatible chat',
+    description: 'Any /chat/completions endpoint: OpenAI, Azure, Ollama, vLLM, LM Studio.',
+    models: ['gpt-4o-mini', 'gpt-4o'],
+    settings: ['baseUrl', 'apiKey'],
+    external: true,
+    execute: chatCompletion,
+  },
+  {
+    id: 'mock',
+    label: 'Local mock',
+    description: 'Canned analyses generated in the browser; nothing leaves this device.',
+    models: ['mock-analyst'],
+    execute: runMockMission,
+  },
+];
+
+export const findProvider = (id) => PROVIDERS.find((provider) => provider.id === id) || PROVIDERS[0];
+
+export const DEFAULT_PROVIDER_SETTINGS = {
+  providerId: import.meta.env.VITE_AI_PROVIDER || 'mission',
+  models: Object.fromEntries(PROVIDERS.map((provider) => [provider.id, provider.models[0]])),
+  // Highest marking each provider may receive, by provider id; see `providerMaxLevel`.
+  maxLevels: {},
+  openai: {
+    baseUrl: import.meta.env.VITE_OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: '',
+  },
+};
+
+const load = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return {
+      ...DEFAULT_PROVIDER_SETTINGS,
+      ...stored,
+      models: { ...DEFAULT_PROVIDER_SETTINGS.models, ...stored.models },
+      maxLevels: { ...DEFAULT_PROVIDER_SETTINGS.maxLevels, ...stored.maxLevels },
+      openai: { ...DEFAULT_PROVIDER_SETTINGS.openai, ...stored.openai },
+    };
+  } catch {
+    return DEFAULT_PROVIDER_SETTINGS;
+  }
+};
+
+let state = load();
+const listeners = new Set();
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  listeners.forEach((listener) => listener());
+};
+
+export const providerStore = {
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  getSnapshot: () => state,
+
+  selectProvider(providerId) {
+    setState({ providerId });
+  },
+
+  selectModel(providerId, model) {
+    setState({ models: { ...state.models, [providerId]: model } });
+  },
+
+  setMaxLevel(providerId, level) {
+    setState({ maxLevels: { ...state.maxLevels, [providerId]: level } });
+  },
+
+  updateProviderSettings(providerId, patch) {
+    setState({ [providerId]: { ...state[providerId], ...patch } });
+  },
+
+  reset() {
+    setState(DEFAULT_PROVIDER_SETTINGS);
+  },
+};
+
+/** The provider and model missions currently go to. */
+export const activeProvider = (settings = state) => {
+  const provider = findProvider(settings.providerId);
+  return { provider, model: settings.models[provider.id] || provider.models[0], settings: settings[provider.id] || {} };
+};
+
+/** Highest marking the active provider may receive: its own setting, else the backend maximum (lowest level if external). */
+export const providerMaxLevel = (settings = state, config = classificationStore.getSnapshot()) => {
+  const { provider } = activeProvider(settings);
+  return settings.maxLevels?.[provider.id] ?? (provider.external ? config.levels[0].id : config.backendMaxLevel);
+};
+
+/** Runs a mission through the active provider; resolves with `{ message, analysis, provider, model }`. */
+export const executeWithProvider = async ({ prompt, history = [], attachments = [], agentId, signal, onToken }) => {
+  const { provider, model, settings } = activeProvider();
+  const result = await provider.execute({ prompt, history, attachments, agentId, model, settings, signal, onToken });
+  return { ...result, provider: provider.id, model };
+};
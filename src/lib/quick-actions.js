@@ -0,0 +1,155 @@
+import { extractVariables, fillTemplate } from './templates';
+import { executeMission, prefillMission } from './mission-commands';
+import { latestVersion, templateLibrary } from './template-library';
+import { hasPermission } from './auth';
+
+const STORAGE_KEY = 'agentcy.quickActions';
+
+export const VARIABLE_DEFAULTS = {
+  area: 'the designated area',
+  timeframe: 'the last 72 hours',
+  asset: 'the deployed unit',
+};
+
+export const DEFAULT_QUICK_ACTIONS = [
+  {
+    id: 'intel-gathering',
+    label: 'INTEL GATHERING',
+    shortLabel: 'INTEL',
+    missionType: 'INTEL',
+    tone: 'intel',
+    pinned: true,
+    mode: 'prefill',
+    templateId: 'intel-gathering',
+  },
+  {
+    id: 'mission-planning',
+    label: 'MISSION PLANNING',
+    shortLabel: 'PLANNING',
+    missionType: 'TACTICAL',
+    tone: '',
+    pinned: false,
+    mode: 'prefill',
+    templateId: 'mission-planning',
+  },
+  {
+    id: 'tactical-analysis',
+    label: 'TACTICAL ANALYSIS',
+    shortLabel: 'TACTICAL',
+    missionType: 'TACTICAL',
+    tone: 'tactical',
+    pinned: true,
+    mode: 'prefill',
+    templateId: 'tactical-analysis',
+  },
+  {
+    id: 'threat-assessment',
+    label: 'THREAT ASSESSMENT',
+    shortLabel: 'THREAT',
+    missionType: 'THREAT',
+    tone: 'threat',
+    pinned: true,
+    mode: 'prefill',
+    templateId: 'threat-assessment',
+  },
+  {
+    id: 'system-config',
+    label: 'SYSTEM CONFIG',
+    shortLabel: 'CONFIG',
+    tone: '',
+    pinned: false,
+    kind: 'config',
+  },
+];
+
+const load = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored)) return stored;
+  } catch {
+    // Fall back to the built-in actions.
+  }
+  return DEFAULT_QUICK_ACTIONS;
+};
+
+let state = { actions: load(), pending: null, configOpen: false };
+const listeners = new Set();
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  listeners.forEach((listener) => listener());
+};
+
+const setActions = (actions) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(actions));
+  setState({ actions });
+};
+
+/** SYSTEM CONFIG edits the actions themselves; the rest only fill or run missions. */
+export const actionPermission = (action) => (action.kind === 'config' ? 'system.config' : 'quickActions.run');
+
+/** Prompt body for an action: its library template's latest version, else its inline template. */
+export const actionTemplate = (action) => {
+  const template = action.templateId && templateLibrary.find(action.templateId);
+  return template ? latestVersion(template).body : action.template || '';
+};
+
+const dispatch = (action, values) => {
+  const prompt = fillTemplate(actionTemplate(action), values);
+  const meta = { missionType: action.missionType ?? null };
+  if (action.mode === 'execute') executeMission(prompt, meta);
+  else prefillMission(prompt, meta);
+};
+
+export const quickActions = {
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  getSnapshot: () => state,
+
+  // Entry point for every panel: runs the action, asking for variables first if it has any.
+  run(id) {
+    const action = state.actions.find((a) => a.id === id);
+    if (!action || !hasPermission(actionPermission(action))) return;
+    if (action.kind === 'config') {
+      setState({ configOpen: true });
+      return;
+    }
+    const body = actionTemplate(action);
+    if (!body) return;
+    const variables = extractVariables(body);
+    if (variables.length === 0) dispatch(action, {});
+    else setState({ pending: { action, variables } });
+  },
+
+  submit(values) {
+    if (!state.pending) return;
+    dispatch(state.pending.action, values);
+    setState({ pending: null });
+  },
+
+  cancel: () => setState({ pending: null }),
+
+  setConfigOpen: (configOpen) => setState({ configOpen }),
+
+  update(id, patch) {
+    setActions(state.actions.map((action) => (action.id === id ? { ...action, ...patch } : action)));
+  },
+
+  add(fields) {
+    setActions([
+      ...state.actions,
+      { id: crypto.randomUUID(), tone: '', pinned: false, mode: 'prefill', shortLabel: fields.label, ...fields },
+    ]);
+  },
+
+  remove(id) {
+    setActions(state.actions.filter((action) => action.id !== id));
+  },
+
+  reset() {
+    setActions(DEFAULT_QUICK_ACTIONS);
+  },
+};
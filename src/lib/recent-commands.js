@@ -0,0 +1,17 @@
+const STORAGE_KEY = 'agentcy.recentCommands';
+const MAX_RECENT = 5;
+
+export const loadRecentCommands = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+export const pushRecentCommand = (id) => {
+  const recent = [id, ...loadRecentCommands().filter((existing) => existing !== id)].slice(0, MAX_RECENT);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(recent));
+  return recent;
+};
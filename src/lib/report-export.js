@@ -0,0 +1,289 @@
+import { format } from 'date-fns';
+import { classificationStore, highestLevel } from './classification';
+import { formatBytes } from './attachments';
+
+export const EXPORT_FORMATS = [
+  { id: 'markdown', label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  { id: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { id: 'html', label: 'Printable HTML', extension: 'html', mimeType: 'text/html' },
+];
+
+const attachmentList = (attachments) =>
+  attachments.map(({ name, size }) => `${name} (${formatBytes(size)})`).join(', ');
+
+const timestamp = (value) => (value ? format(new Date(value), 'yyyy-MM-dd HH:mm:ss xxx') : '—');
+
+const slug = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Normalises a mission-history record (or an operation's attached summary) for export.
+const missionDocument = (record) => ({
+  id: record.id,
+  classification: record.classification || classificationStore.getSnapshot().defaultLevel,
+  prompt: record.prompt,
+  attachments: record.attachments || [],
+  agentId: record.agentId || null,
+  missionType: record.missionType || null,
+  status: record.status,
+  startedAt: record.startedAt || null,
+  completedAt: record.completedAt || null,
+  durationMs: record.durationMs ?? null,
+  message: record.message || null,
+  analysis: record.response || null,
+  report: record.report || null,
+});
+
+// Operation missions only carry summaries; prefer the full local record when we have one.
+const operationMissions = (operation, history) => {
+  const attached = (operation.missions || []).map(
+    (mission) => history.find((entry) => entry.id === mission.id) || mission
+  );
+  const local = history.filter(
+    (entry) => entry.operationId === operation.id && !attached.some((mission) => mission.id === entry.id)
+  );
+  return [...attached, ...local].map(missionDocument);
+};
+
+// An operation report carries the highest marking of the operation and any of its missions.
+const operationDocument = (operation, history) => {
+  const missions = operationMissions(operation, history);
+  return {
+    id: operation.id,
+    classification: highestLevel([operation.classification, ...missions.map((mission) => mission.classification)]),
+    name: operation.name,
+    type: operation.type,
+    status: operation.status,
+    description: operation.description || '',
+    createdAt: operation.createdAt || null,
+    updatedAt: operation.updatedAt || null,
+    tasks: operation.tasks || [],
+    statusHistory: operation.history || [],
+    missions,
+  };
+};
+
+const historyLine = (entry) =>
+  [entry.action, entry.from && entry.to ? `${entry.from} → ${entry.to}` : entry.to, entry.note]
+    .filter(Boolean)
+    .join(' · ');
+
+// ---- Markdown ----
+
+const reportMarkdown = (report) => {
+  const lines = [`**Summary:** ${report.summary}`, ''];
+  if (report.confidence !== null) lines.push(`**Confidence:** ${report.confidence}%`, '');
+  if (report.keyFindings.length) {
+    lines.push('**Key findings**', '', ...report.keyFindings.map((finding) => `- ${finding}`), '');
+  }
+  if (report.risks.length) {
+    lines.push('| Severity | Risk |', '| --- | --- |');
+    lines.push(...report.risks.map((risk) => `| ${risk.severity} | ${risk.description.replace(/\|/g, '\\|')} |`), '');
+  }
+  if (report.recommendedActions.length) {
+    lines.push(
+      '**Recommended actions**',
+      '',
+      ...report.recommendedActions.map((item, index) =>
+        `${index + 1}. ${item.priority ? `[${item.priority}] ` : ''}${item.action}`
+      ),
+      ''
+    );
+  }
+  return lines;
+};
+
+const missionMarkdown = (mission, level) => {
+  const heading = '#'.repeat(level);
+  const lines = [
+    `${heading} Mission ${mission.id}`,
+    '',
+    `- **Classification:** ${mission.classification}`,
+    `- **Status:** ${mission.status}`,
+    `- **Agent:** ${mission.agentId || 'Unassigned'}`,
+    `- **Started:** ${timestamp(mission.startedAt)}`,
+    `- **Completed:** ${timestamp(mission.completedAt)}`,
+    ...(mission.attachments.length ? [`- **Attachments:** ${attachmentList(mission.attachments)}`] : []),
+    '',
+    `${heading}# Prompt`,
+    '',
+    ...mission.prompt.split('\n').map((line) => `> ${line}`),
+    '',
+    `${heading}# Analysis`,
+    '',
+  ];
+  if (mission.report) lines.push(...reportMarkdown(mission.report));
+  else if (mission.analysis) lines.push('```', mission.analysis, '```', '');
+  else lines.push('_No analysis recorded._', '');
+  return lines;
+};
+
+const banner = (classification) => `**${classification}**`;
+
+const markdownForMission = (mission) =>
+  [banner(mission.classification), '', ...missionMarkdown(mission, 1), banner(mission.classification), ''].join('\n');
+
+const markdownForOperation = (operation) =>
+  [
+    banner(operation.classification),
+    '',
+    `# ${operation.name} (${operation.id})`,
+    '',
+    `- **Type:** ${operation.type}`,
+    `- **Status:** ${operation.status}`,
+    `- **Created:** ${timestamp(operation.createdAt)}`,
+    '',
+    ...(operation.description ? [operation.description, ''] : []),
+    '## Tasks',
+    '',
+    ...(operation.tasks.length
+      ? operation.tasks.map((task) => `- [${task.done ? 'x' : ' '}] ${task.title}`)
+      : ['_No tasks._']),
+    '',
+    '## Status history',
+    '',
+    '| Time | Change |',
+    '| --- | --- |',
+    ...operation.statusHistory.map((entry) => `| ${timestamp(entry.at)} | ${historyLine(entry)} |`),
+    '',
+    `## Missions (${operation.missions.length})`,
+    '',
+    ...operation.missions.flatMap((mission) => missionMarkdown(mission, 3)),
+    banner(operation.classification),
+    '',
+  ].join('\n');
+
+// ---- HTML ----
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+const reportHtml = (report) => `
+  <p><strong>Summary:</strong> ${escapeHtml(report.summary)}</p>
+  ${report.confidence !== null ? `<p><strong>Confidence:</strong> ${report.confidence}%</p>` : ''}
+  ${report.keyFindings.length ? `<h4>Key findings</h4><ul>${report.keyFindings.map((f) => `<li>${escapeHtml(f)}</li>`).join('')}</ul>` : ''}
+  ${report.risks.length ? `<h4>Risks</h4><table><tr><th>Severity</th><th>Risk</th></tr>${report.risks
+    .map((risk) => `<tr><td class="sev-${risk.severity.toLowerCase()}">${risk.severity}</td><td>${escapeHtml(risk.description)}</td></tr>`)
+    .join('')}</table>` : ''}
+  ${report.recommendedActions.length ? `<h4>Recommended actions</h4><ol>${report.recommendedActions
+    .map((item) => `<li>${item.priority ? `<strong>[${item.priority}]</strong> ` : ''}${escapeHtml(item.action)}</li>`)
+    .join('')}</ol>` : ''}`;
+
+const missionHtml = (mission, level) => `
+  <section>
+    <h${level}>Mission ${escapeHtml(mission.id)}</h${level}>
+    <table class="meta">
+      <tr><th>Classification</th><td>${escapeHtml(mission.classification)}</td></tr>
+      <tr><th>Status</th><td>${escapeHtml(mission.status)}</td></tr>
+      <tr><th>Agent</th><td>${escapeHtml(mission.agentId || 'Unassigned')}</td></tr>
+      <tr><th>Started</th><td>${timestamp(mission.startedAt)}</td></tr>
+      <tr><th>Completed</th><td>${timestamp(mission.completedAt)}</td></tr>
+      ${mission.attachments.length ? `<tr><th>Attachments</th><td>${escapeHtml(attachmentList(mission.attachments))}</td></tr>` : ''}
+    </table>
+    <h${level + 1}>Prompt</h${level + 1}>
+    <blockquote>${escapeHtml(mission.prompt)}</blockquote>
+    <h${level + 1}>Analysis</h${level + 1}>
+    ${mission.report
+      ? reportHtml(mission.report)
+      : mission.analysis ? `<pre>${escapeHtml(mission.analysis)}</pre>` : '<p><em>No analysis recorded.</em></p>'}
+  </section>`;
+
+const operationHtml = (operation) => `
+  <h1>${escapeHtml(operation.name)} (${escapeHtml(operation.id)})</h1>
+  <table class="meta">
+    <tr><th>Type</th><td>${escapeHtml(operation.type)}</td></tr>
+    <tr><th>Status</th><td>${escapeHtml(operation.status)}</td></tr>
+    <tr><th>Created</th><td>${timestamp(operation.createdAt)}</td></tr>
+  </table>
+  ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+  <h2>Tasks</h2>
+  <ul class="tasks">${operation.tasks.map((task) => `<li>${task.done ? '☑' : '☐'} ${escapeHtml(task.title)}</li>`).join('') || '<li><em>No tasks.</em></li>'}</ul>
+  <h2>Status history</h2>
+  <table><tr><th>Time</th><th>Change</th></tr>${operation.statusHistory
+    .map((entry) => `<tr><td>${timestamp(entry.at)}</td><td>${escapeHtml(historyLine(entry))}</td></tr>`)
+    .join('')}</table>
+  <h2>Missions (${operation.missions.length})</h2>
+  ${operation.missions.map((mission) => missionHtml(mission, 3)).join('')}`;
+
+const htmlDocument = (title, classification, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: 'Courier New', monospace; margin: 3rem 2rem; color: #111; }
+  .banner { text-align: center; font-weight: bold; letter-spacing: 0.2em; padding: 0.25rem; background: #eee; border: 1px solid #111; }
+  .banner.top { position: fixed; top: 0; left: 0; right: 0; }
+  .banner.bottom { position: fixed; bottom: 0; left: 0; right: 0; }
+  table { border-collapse: collapse; margin: 0.5rem 0 1rem; }
+  th, td { border: 1px solid #999; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; }
+  table.meta th { width: 8rem; }
+  blockquote { border-left: 3px solid #999; margin: 0; padding-left: 1rem; white-space: pre-wrap; }
+  pre { white-space: pre-wrap; background: #f5f5f5; padding: 0.75rem; }
+  section { page-break-inside: avoid; border-top: 1px solid #ccc; margin-top: 1.5rem; }
+  .tasks { list-style: none; padding-left: 0; }
+  .sev-critical, .sev-high { font-weight: bold; }
+  footer { margin-top: 2rem; font-size: 0.75rem; color: #555; }
+</style>
+</head>
+<body>
+<div class="banner top">${escapeHtml(classification)}</div>
+${body}
+<footer>Exported ${timestamp(new Date())} from AGENTCY.ONE</footer>
+<div class="banner bottom">${escapeHtml(classification)}</div>
+</body>
+</html>
+`;
+
+// ---- Public API ----
+
+const buildFile = (kind, data, formatId, title, markdown, html) => {
+  const exportFormat = EXPORT_FORMATS.find((entry) => entry.id === formatId);
+  if (!exportFormat) throw new Error(`Unknown export format: ${formatId}`);
+
+  const content = {
+    markdown,
+    json: () => JSON.stringify({ kind, exportedAt: new Date().toISOString(), [kind]: data }, null, 2),
+    html: () => htmlDocument(title, data.classification, html()),
+  }[formatId]();
+
+  return {
+    filename: `${slug(`${kind}-${data.id}`)}.${exportFormat.extension}`,
+    mimeType: exportFormat.mimeType,
+    content,
+  };
+};
+
+/** Builds `{ filename, mimeType, content }` for a single mission-history record. */
+export const exportMission = (record, formatId) => {
+  const mission = missionDocument(record);
+  return buildFile(
+    'mission',
+    mission,
+    formatId,
+    `Mission ${mission.id}`,
+    () => markdownForMission(mission),
+    () => missionHtml(mission, 1)
+  );
+};
+
+/**
+ * Builds an export for an operation, its status history and every mission
+ * attached to it. `history` is the local mission log, used to fill in analyses.
+ */
+export const exportOperation = (operation, history, formatId) => {
+  const data = operationDocument(operation, history);
+  return buildFile(
+    'operation',
+    data,
+    formatId,
+    `${data.name} (${data.id})`,
+    () => markdownForOperation(data),
+    () => operationHtml(data)
+  );
+};
+
+export const downloadExport = ({ filename, mimeType, content }) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = Object.assign(document.createElement('a'), { href: url, download: filename });
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,33 @@
+// Shared status → Tailwind class mappings for panels and indicators.
+
+export const getStatusColor = (status) => {
+  switch (status.toLowerCase()) {
+    case 'operational':
+    case 'active':
+    case 'completed':
+      return 'text-green-400';
+    case 'warning':
+    case 'planning':
+      return 'text-yellow-400';
+    case 'critical':
+      return 'text-red-400';
+    default:
+      return 'text-gray-400';
+  }
+};
+
+export const getStatusIndicator = (status) => {
+  switch (status.toLowerCase()) {
+    case 'operational':
+    case 'active':
+    case 'completed':
+      return 'bg-green-400 shadow-green-400';
+    case 'warning':
+    case 'planning':
+      return 'bg-yellow-400 shadow-yellow-400';
+    case 'critical':
+      return 'bg-red-400 shadow-red-400';
+    default:
+      return 'bg-gray-400';
+  }
+};
@@ -0,0 +1,187 @@
+import { z } from 'zod';
+import { extractVariables, fillTemplate } from './templates';
+import { prefillMission } from './mission-commands';
+
+const STORAGE_KEY = 'agentcy.templates';
+const FILE_FORMAT = 'agentcy.templates';
+
+export const TEMPLATE_TYPES = ['INTEL', 'TACTICAL', 'THREAT', 'CUSTOM'];
+
+const seed = (id, name, type, body) => ({
+  id,
+  name,
+  type,
+  versions: [{ version: 1, body, note: 'Built-in', createdAt: '2025-01-01T00:00:00.000Z' }],
+});
+
+// The prompts the quick actions originally shipped with; quick actions refer to these by id.
+export const DEFAULT_TEMPLATES = [
+  seed('intel-gathering', 'Intel gathering', 'INTEL',
+    'Gather intelligence on recent activities in {{area}} over {{timeframe}}. Provide a summary of key findings and potential implications.'),
+  seed('mission-planning', 'Mission plan', 'TACTICAL',
+    'Draft a mission plan for {{asset}} operating in {{area}} within {{timeframe}}. Cover objectives, phases, coordination measures, and go/no-go criteria.'),
+  seed('tactical-analysis', 'Rapid deployment plan', 'TACTICAL',
+    'Develop a tactical plan for a rapid deployment of {{asset}} into {{area}}. Include resource allocation, movement strategies, and contingency measures.'),
+  seed('threat-assessment', 'Threat assessment', 'THREAT',
+    'Assess the current threat level in {{area}}. Identify potential hostile elements and recommend immediate countermeasures.'),
+];
+
+const VersionSchema = z.object({
+  version: z.number().int().positive(),
+  body: z.string().min(1),
+  note: z.string().default(''),
+  createdAt: z.string(),
+});
+
+const TemplateSchema = z.object({
+  id: z.string().min(1),
+  name: z.string().trim().min(1),
+  type: z.enum(TEMPLATE_TYPES).catch('CUSTOM'),
+  versions: z.array(VersionSchema).min(1),
+});
+
+const TemplateFileSchema = z.object({
+  format: z.literal(FILE_FORMAT),
+  templates: z.array(TemplateSchema),
+});
+
+export const latestVersion = (template) => template.versions[template.versions.length - 1];
+
+export const templateVariables = (template) => extractVariables(latestVersion(template).body);
+
+const load = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored)) return stored;
+  } catch {
+    // Fall back to the built-in templates.
+  }
+  return DEFAULT_TEMPLATES;
+};
+
+let state = { templates: load(), open: false, pending: null };
+const listeners = new Set();
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  listeners.forEach((listener) => listener());
+};
+
+const setTemplates = (templates) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+  setState({ templates });
+};
+
+const patchTemplate = (id, fn) => setTemplates(state.templates.map((template) => (template.id === id ? fn(template) : template)));
+
+const appendVersion = (template, body, note) => ({
+  ...template,
+  versions: [
+    ...template.versions,
+    { version: latestVersion(template).version + 1, body, note, createdAt: new Date().toISOString() },
+  ],
+});
+
+// Imported versions are merged into an existing template only where their body is new.
+const mergeTemplate = (existing, incoming) =>
+  incoming.versions
+    .filter((version) => !existing.versions.some((current) => current.body === version.body))
+    .reduce((template, version) => appendVersion(template, version.body, version.note || 'Imported'), existing);
+
+export const templateLibrary = {
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  getSnapshot: () => state,
+
+  setOpen: (open) => setState({ open }),
+
+  find: (id) => state.templates.find((template) => template.id === id),
+
+  create({ name, type = 'CUSTOM', body }) {
+    const template = {
+      id: crypto.randomUUID(),
+      name,
+      type,
+      versions: [{ version: 1, body, note: 'Created', createdAt: new Date().toISOString() }],
+    };
+    setTemplates([...state.templates, template]);
+    return template.id;
+  },
+
+  updateMeta(id, { name, type }) {
+    patchTemplate(id, (template) => ({ ...template, name: name ?? template.name, type: type ?? template.type }));
+  },
+
+  /** Records `body` as a new version unless it matches the latest one. */
+  saveVersion(id, body, note = '') {
+    patchTemplate(id, (template) => (latestVersion(template).body === body ? template : appendVersion(template, body, note)));
+  },
+
+  /** Restoring never rewrites history: the old body comes back as a new version. */
+  restoreVersion(id, version) {
+    patchTemplate(id, (template) => {
+      const source = template.versions.find((entry) => entry.version === version);
+      return source ? appendVersion(template, source.body, `Restored v${version}`) : template;
+    });
+  },
+
+  remove(id) {
+    setTemplates(state.templates.filter((template) => template.id !== id));
+  },
+
+  reset() {
+    setTemplates(DEFAULT_TEMPLATES);
+  },
+
+  exportJson(ids = state.templates.map((template) => template.id)) {
+    const templates = state.templates.filter((template) => ids.includes(template.id));
+    return JSON.stringify({ format: FILE_FORMAT, exportedAt: new Date().toISOString(), templates }, null, 2);
+  },
+
+  /** Merges a shared template file; throws with a readable message when it doesn't validate. */
+  importJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('File is not valid JSON');
+    }
+    const parsed = TemplateFileSchema.safeParse(data);
+    if (!parsed.success) {
+      const issue = parsed.error.issues[0];
+      throw new Error(`Not a template file: ${issue.path.join('.') || 'root'} ${issue.message}`);
+    }
+
+    let templates = state.templates;
+    parsed.data.templates.forEach((incoming) => {
+      const existing = templates.find((template) => template.id === incoming.id);
+      templates = existing
+        ? templates.map((template) => (template === existing ? mergeTemplate(existing, incoming) : template))
+        : [...templates, incoming];
+    });
+    setTemplates(templates);
+    return parsed.data.templates.length;
+  },
+
+  // Using a template asks for its variables (if any) and loads the prompt into the active mission tab.
+  use(id) {
+    const template = templateLibrary.find(id);
+    if (!template) return;
+    const variables = templateVariables(template);
+    if (variables.length === 0) templateLibrary.submit({}, template);
+    else setState({ pending: { template, variables } });
+  },
+
+  submit(values, template = state.pending?.template) {
+    if (!template) return;
+    prefillMission(fillTemplate(latestVersion(template).body, values), {
+      missionType: template.type === 'CUSTOM' ? null : template.type,
+    });
+    setState({ pending: null, open: false });
+  },
+
+  cancel: () => setState({ pending: null }),
+};
@@ -0,0 +1,9 @@
+// {{variable}} placeholders shared by quick actions and prompt templates.
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_][\w]*)\s*\}\}/g;
+
+export const extractVariables = (template) => [
+  ...new Set([...template.matchAll(VARIABLE_PATTERN)].map(([, name]) => name)),
+];
+
+export const fillTemplate = (template, values) =>
+  template.replace(VARIABLE_PATTERN, (match, name) => values[name] ?? match);
@@ -0,0 +1,7 @@
+export const THEMES = [
+  { id: 'tactical', label: 'Tactical Green' },
+  { id: 'night-ops', label: 'Night Ops (red light)' },
+  { id: 'amber', label: 'Amber Terminal' },
+];
+
+export const DEFAULT_THEME = 'tactical';
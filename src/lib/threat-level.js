@@ -0,0 +1,99 @@
+// Threat level computed from live signals: CRITICAL agents, failed missions
+// and unresolved incidents (THREAT missions whose report flags a HIGH or CRITICAL risk).
+
+const STORAGE_KEY = 'agentcy.threatLevel';
+
+export const THREAT_LEVELS = ['LOW', 'GUARDED', 'ELEVATED', 'HIGH', 'SEVERE'];
+
+export const DEFAULT_THREAT_CONFIG = {
+  windowHours: 24,
+  weights: { criticalAgents: 3, failedMissions: 1, openIncidents: 2 },
+  // Minimum score for each level above LOW.
+  thresholds: { GUARDED: 1, ELEVATED: 3, HIGH: 6, SEVERE: 10 },
+};
+
+const SIGNAL_LABELS = {
+  criticalAgents: 'CRITICAL agents',
+  failedMissions: 'Failed missions',
+  openIncidents: 'Open THREAT incidents',
+};
+
+const INCIDENT_SEVERITIES = ['CRITICAL', 'HIGH'];
+
+// The most severe HIGH or CRITICAL risk in a mission's report, if any.
+const incidentRisk = (mission) =>
+  INCIDENT_SEVERITIES.map((severity) => mission.report?.risks?.find((risk) => risk.severity === severity)).find(Boolean);
+
+export const levelForScore = (score, thresholds) =>
+  [...THREAT_LEVELS].reverse().find((level) => level === 'LOW' || score >= thresholds[level]);
+
+export const assessThreat = ({ agents, missions, config, now = Date.now() }) => {
+  const since = now - config.windowHours * 3600 * 1000;
+  const recent = missions.filter((mission) => new Date(mission.startedAt).getTime() >= since);
+
+  const items = {
+    criticalAgents: agents.filter((agent) => agent.status === 'CRITICAL').map((agent) => ({ id: agent.id, label: agent.id })),
+    failedMissions: recent.filter((mission) => mission.status === 'FAILED').map((mission) => ({ id: mission.id, label: mission.prompt })),
+    openIncidents: recent
+      .filter((mission) => mission.missionType === 'THREAT' && mission.status === 'SUCCESS' && !mission.resolvedAt && incidentRisk(mission))
+      .map((mission) => {
+        const risk = incidentRisk(mission);
+        return { id: mission.id, label: `[${risk.severity}] ${risk.description}`, resolvable: true };
+      }),
+  };
+
+  const signals = Object.entries(items).map(([id, list]) => ({
+    id,
+    label: SIGNAL_LABELS[id],
+    count: list.length,
+    weight: config.weights[id],
+    contribution: list.length * config.weights[id],
+    items: list,
+  }));
+  const score = signals.reduce((sum, signal) => sum + signal.contribution, 0);
+
+  return { level: levelForScore(score, config.thresholds), score, signals };
+};
+
+const load = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return {
+      config: { ...DEFAULT_THREAT_CONFIG, ...stored.config },
+      lastChange: stored.lastChange || null,
+    };
+  } catch {
+    return { config: DEFAULT_THREAT_CONFIG, lastChange: null };
+  }
+};
+
+let state = load();
+const listeners = new Set();
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  listeners.forEach((listener) => listener());
+};
+
+export const threatLevelStore = {
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  getSnapshot: () => state,
+
+  recordLevel(level) {
+    if (state.lastChange?.level === level) return;
+    setState({ lastChange: { level, from: state.lastChange?.level ?? null, at: new Date().toISOString() } });
+  },
+
+  updateConfig(patch) {
+    setState({ config: { ...state.config, ...patch } });
+  },
+
+  resetConfig() {
+    setState({ config: DEFAULT_THREAT_CONFIG });
+  },
+};